@@ -0,0 +1,383 @@
+// server/mockTrackServer.js
+//
+// Offline stand-in for a live aircraft feed: replays a recorded track file
+// to every connected client, over WebSocket and Server-Sent Events.
+//
+//   npm run mock:tracks -- [--port 8787] [--file server/tracks/sample.jsonl]
+//                          [--rate 1] [--no-loop]
+//
+//   ws://localhost:8787/tracks         WebSocket, one text frame per batch
+//   http://localhost:8787/events       SSE, one `data:` event per batch
+//   http://localhost:8787/aircraft.json  dump1090-style snapshot to poll
+//
+// Add `?format=sbs` to /tracks or /events to get SBS-1 / BaseStation CSV
+// lines (MSG,1 / MSG,4 / MSG,3 per report) instead of JSON.
+//
+// The recording is JSON lines, one report per line, with `t` = seconds
+// since the start of the recording:
+//   {"t": 0, "id": "LY101", "lat": 32.05, "lng": 34.78, "alt": 9000, ...}
+// Reports sharing a `t` are sent together as
+//   {"type": "reports", "reports": [...]}
+// with `time` set to the moment they are sent. Without --no-loop the
+// recording restarts when it ends.
+//
+// No dependencies: the WebSocket side is the minimal server half of
+// RFC 6455 (handshake, unmasked text frames out, close / ping handling in).
+
+import { createServer } from "node:http";
+import { createHash } from "node:crypto";
+import { readFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+
+const { values: args } = parseArgs({
+  options: {
+    port: { type: "string", default: "8787" },
+    file: {
+      type: "string",
+      default: fileURLToPath(new URL("./tracks/sample.jsonl", import.meta.url)),
+    },
+    rate: { type: "string", default: "1" }, // playback speed multiplier
+    "no-loop": { type: "boolean", default: false },
+  },
+});
+
+const port = Number(args.port);
+const rate = Number(args.rate);
+if (!(rate > 0)) throw new Error(`mockTrackServer: --rate must be > 0`);
+
+// -------------------------------------------------------------------
+// Recording
+// -------------------------------------------------------------------
+
+function loadRecording(path) {
+  const byTime = new Map(); // t -> reports
+  const lines = readFileSync(path, "utf8").split("\n");
+
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    let rec;
+    try {
+      rec = JSON.parse(line);
+    } catch (err) {
+      throw new Error(`mockTrackServer: ${path}:${i + 1}: ${err.message}`);
+    }
+    const { t, ...report } = rec;
+    if (!Number.isFinite(t)) {
+      throw new Error(`mockTrackServer: ${path}:${i + 1}: missing "t"`);
+    }
+    if (!byTime.has(t)) byTime.set(t, []);
+    byTime.get(t).push(report);
+  });
+
+  const batches = [...byTime.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([t, reports]) => ({ t, reports }));
+  if (!batches.length) throw new Error(`mockTrackServer: ${path} is empty`);
+  return batches;
+}
+
+const batches = loadRecording(args.file);
+const duration = batches[batches.length - 1].t;
+
+// -------------------------------------------------------------------
+// Clients
+// -------------------------------------------------------------------
+
+const FORMATS = ["json", "sbs"];
+
+const wsClients = new Map(); // net.Socket -> format
+const sseClients = new Map(); // http.ServerResponse -> format
+const latest = new Map(); // id -> { report, time } for aircraft.json
+
+function requestFormat(url) {
+  const format = url.searchParams.get("format") ?? "json";
+  return FORMATS.includes(format) ? format : null;
+}
+
+// Server -> client frame (FIN set, never masked)
+function wsFrame(opcode, payload = Buffer.alloc(0)) {
+  const len = payload.length;
+  let header;
+  if (len < 126) {
+    header = Buffer.from([0x80 | opcode, len]);
+  } else if (len < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(len, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(len), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// Client frames only matter for close and ping; text from clients is ignored
+function handleWsData(socket, state, chunk) {
+  state.buffer = Buffer.concat([state.buffer, chunk]);
+
+  while (state.buffer.length >= 2) {
+    const buf = state.buffer;
+    const opcode = buf[0] & 0x0f;
+    const masked = (buf[1] & 0x80) !== 0;
+    let len = buf[1] & 0x7f;
+    let offset = 2;
+
+    if (len === 126) {
+      if (buf.length < 4) return;
+      len = buf.readUInt16BE(2);
+      offset = 4;
+    } else if (len === 127) {
+      if (buf.length < 10) return;
+      len = Number(buf.readBigUInt64BE(2));
+      offset = 10;
+    }
+
+    const maskOffset = offset;
+    if (masked) offset += 4;
+    if (buf.length < offset + len) return;
+
+    const payload = Buffer.from(buf.subarray(offset, offset + len));
+    if (masked) {
+      for (let i = 0; i < len; i++) payload[i] ^= buf[maskOffset + (i % 4)];
+    }
+    state.buffer = buf.subarray(offset + len);
+
+    if (opcode === 0x8) {
+      socket.end(wsFrame(0x8, payload.subarray(0, 2)));
+      wsClients.delete(socket);
+      return;
+    }
+    if (opcode === 0x9) socket.write(wsFrame(0xa, payload));
+  }
+}
+
+function acceptWebSocket(req, socket) {
+  const key = req.headers["sec-websocket-key"];
+  const url = new URL(req.url, "http://localhost");
+  const format = requestFormat(url);
+  if (url.pathname !== "/tracks" || !key || !format) {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return;
+  }
+
+  const accept = createHash("sha1")
+    .update(key + "258EAFA5-E914-47DA-95CA-C5AB0DC85B11")
+    .digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+      "Upgrade: websocket\r\n" +
+      "Connection: Upgrade\r\n" +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+
+  const state = { buffer: Buffer.alloc(0) };
+  wsClients.set(socket, format);
+  socket.on("data", (chunk) => handleWsData(socket, state, chunk));
+  socket.on("close", () => wsClients.delete(socket));
+  socket.on("error", () => wsClients.delete(socket));
+  console.log(
+    `mockTrackServer: websocket ${format} client (${wsClients.size})`
+  );
+}
+
+function acceptEventStream(req, res, format) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "Access-Control-Allow-Origin": "*",
+  });
+  res.write(": mock track feed\n\n");
+  sseClients.set(res, format);
+  req.on("close", () => sseClients.delete(res));
+  console.log(`mockTrackServer: sse ${format} client (${sseClients.size})`);
+}
+
+// -------------------------------------------------------------------
+// Output formats
+// -------------------------------------------------------------------
+
+const FEET = 0.3048;
+const KNOT = 1852 / 3600;
+
+// Stable fake ICAO address for a recorded id
+function hexFor(id) {
+  let h = 0x811c9dc5;
+  for (const c of id) h = Math.imul(h ^ c.charCodeAt(0), 0x01000193);
+  return ((h >>> 0) & 0xffffff).toString(16).toUpperCase().padStart(6, "0");
+}
+
+function sbsLine(type, hex, stamp, fields) {
+  // MSG,type,session,aircraft,hex,flight,date/time generated,date/time logged
+  // then callsign,alt,gs,track,lat,lon,vrate,squawk,alert,emergency,spi,ground
+  const [date, time] = stamp;
+  const row = ["MSG", type, 1, 1, hex, 1, date, time, date, time];
+  const cols = [
+    "callsign",
+    "alt",
+    "gs",
+    "track",
+    "lat",
+    "lon",
+    "vrate",
+    "squawk",
+    "alert",
+    "emergency",
+    "spi",
+    "ground",
+  ];
+  return [...row, ...cols.map((c) => fields[c] ?? "")].join(",");
+}
+
+function toSbs(reports, time) {
+  const iso = new Date(time).toISOString();
+  const stamp = [iso.slice(0, 10).replaceAll("-", "/"), iso.slice(11, 23)];
+  const flags = { alert: 0, emergency: 0, spi: 0, ground: 0 };
+  const lines = [];
+
+  for (const r of reports) {
+    const hex = hexFor(r.id);
+    lines.push(sbsLine(1, hex, stamp, { callsign: r.id, ...flags }));
+    lines.push(
+      sbsLine(4, hex, stamp, {
+        gs: r.speed != null ? (r.speed / KNOT).toFixed(0) : "",
+        track: r.heading ?? "",
+        vrate:
+          r.verticalRate != null
+            ? ((r.verticalRate / FEET) * 60).toFixed(0)
+            : "",
+        ...flags,
+      })
+    );
+    lines.push(
+      sbsLine(3, hex, stamp, {
+        alt: ((r.alt ?? 0) / FEET).toFixed(0),
+        lat: r.lat,
+        lon: r.lng,
+        ...flags,
+      })
+    );
+  }
+  return lines.join("\n") + "\n";
+}
+
+function aircraftJson() {
+  const now = Date.now();
+  const aircraft = [];
+
+  for (const [id, { report: r, time }] of latest) {
+    const seen = (now - time) / 1000;
+    if (seen > 60) {
+      latest.delete(id);
+      continue;
+    }
+    aircraft.push({
+      hex: hexFor(id).toLowerCase(),
+      flight: id.padEnd(8),
+      category: r.category ?? undefined,
+      alt_baro: Math.round((r.alt ?? 0) / FEET),
+      gs: r.speed != null ? Number((r.speed / KNOT).toFixed(1)) : undefined,
+      track: r.heading ?? undefined,
+      baro_rate:
+        r.verticalRate != null
+          ? Math.round((r.verticalRate / FEET) * 60)
+          : undefined,
+      lat: r.lat,
+      lon: r.lng,
+      seen: Number(seen.toFixed(1)),
+      seen_pos: Number(seen.toFixed(1)),
+    });
+  }
+
+  return JSON.stringify({ now: now / 1000, aircraft });
+}
+
+function broadcast(reports, time) {
+  for (const r of reports) latest.set(r.id, { report: r, time });
+
+  const texts = {
+    json: JSON.stringify({
+      type: "reports",
+      reports: reports.map((r) => ({ ...r, time })),
+    }),
+    sbs: toSbs(reports, time),
+  };
+
+  const frames = {};
+  for (const [socket, format] of wsClients) {
+    frames[format] ??= wsFrame(0x1, Buffer.from(texts[format]));
+    socket.write(frames[format]);
+  }
+  for (const [res, format] of sseClients) {
+    // one data: field per line; SBS ends with an empty one so the event
+    // text keeps its final newline
+    const data = texts[format].split("\n").map((l) => `data: ${l}`);
+    res.write(`${data.join("\n")}\n\n`);
+  }
+}
+
+// -------------------------------------------------------------------
+// Playback
+// -------------------------------------------------------------------
+
+let next = 0; // index of the next batch to send
+let startedAt = Date.now();
+
+function tick() {
+  const elapsed = ((Date.now() - startedAt) / 1000) * rate;
+
+  while (next < batches.length && batches[next].t <= elapsed) {
+    broadcast(batches[next].reports, Date.now());
+    next++;
+  }
+
+  if (next >= batches.length) {
+    if (args["no-loop"]) {
+      clearInterval(timer);
+      console.log("mockTrackServer: recording finished");
+      return;
+    }
+    next = 0;
+    startedAt = Date.now();
+  }
+}
+
+const timer = setInterval(tick, 50);
+
+const server = createServer((req, res) => {
+  const url = new URL(req.url, "http://localhost");
+  const format = requestFormat(url);
+
+  if (url.pathname === "/events" && format) {
+    acceptEventStream(req, res, format);
+    return;
+  }
+  if (url.pathname === "/aircraft.json") {
+    res.writeHead(200, {
+      "Content-Type": "application/json",
+      "Cache-Control": "no-cache",
+      "Access-Control-Allow-Origin": "*",
+    });
+    res.end(aircraftJson());
+    return;
+  }
+  res.writeHead(404, { "Content-Type": "text/plain" });
+  res.end(
+    "mock track feed: ws://…/tracks, http://…/events (?format=sbs) or http://…/aircraft.json\n"
+  );
+});
+
+server.on("upgrade", acceptWebSocket);
+
+server.listen(port, () => {
+  console.log(
+    `mockTrackServer: ${batches.length} batches over ${duration}s from ${args.file}`
+  );
+  console.log(`  ws://localhost:${port}/tracks`);
+  console.log(`  http://localhost:${port}/events`);
+  console.log(`  http://localhost:${port}/aircraft.json`);
+});
@@ -1,24 +1,130 @@
 // usePlanes.js
 import * as THREE from "three";
+import { shallowRef } from "vue";
+import { geodeticToLocalENU, FLAT_EARTH, wrapDeg180 } from "@/utils/geodesy.js";
+import { usePlaneTrails } from "@/composables/usePlaneTrails.js";
+import { screenScaledSize } from "@/composables/useLabels.js";
+import { createInstancedSet } from "@/utils/instancedSet.js";
+import {
+  DEFAULT_AIRCRAFT_MODELS,
+  aircraftCategory,
+  loadAircraftModel,
+} from "@/utils/aircraftModels.js";
+import { sensorCountColor } from "@/utils/sensors.js";
+
+// Sensor visibility classes, see classifyPlane(). With several sensors a
+// plane gets the best status any of them gives it.
+export const PLANE_VISIBILITY = {
+  VISIBLE: "visible", // detected: in the beam, in sight, Pd >= threshold
+  UNDETECTED: "undetected", // in the beam and in sight, but Pd too low
+  MASKED: "masked", // inside the beam but hidden behind terrain
+  OUTSIDE: "outside", // outside the beam angles / range / ceiling
+};
+
+// best first
+const VISIBILITY_RANK = {
+  [PLANE_VISIBILITY.VISIBLE]: 0,
+  [PLANE_VISIBILITY.UNDETECTED]: 1,
+  [PLANE_VISIBILITY.MASKED]: 2,
+  [PLANE_VISIBILITY.OUTSIDE]: 3,
+};
+
+const VISIBILITY_STYLES = {
+  [PLANE_VISIBILITY.VISIBLE]: { color: 0xffaa00, opacity: 1, columnOpacity: 1 },
+  [PLANE_VISIBILITY.UNDETECTED]: {
+    color: 0xc9a060,
+    opacity: 0.6,
+    columnOpacity: 0.5,
+  },
+  [PLANE_VISIBILITY.MASKED]: {
+    color: 0x7a6a55,
+    opacity: 0.4,
+    columnOpacity: 0.35,
+  },
+  [PLANE_VISIBILITY.OUTSIDE]: {
+    color: 0x999999,
+    opacity: 0.75,
+    columnOpacity: 0.6,
+  },
+};
+
+// Opacity factor for tracks the feed hasn't updated lately (track.stale)
+// or that were extrapolated past maxExtrapolationSeconds
+const STALE_OPACITY = 0.5;
+
+// A correction bigger than this is a jump in the feed (new track with a
+// reused id, bad fix): snap instead of gliding across the map
+const MAX_BLEND_METERS = 20_000;
+
+// Plane parts, scene units at body size BODY_SIZE. Bodies (a model per
+// category, the cube as fallback) keep about the same size on screen:
+// screenScaledSize() like the labels, never below BODY_SIZE.
+const BODY_SIZE = 5000;
+const BODY_SIZE_MULTIPLIER = BODY_SIZE / screenScaledSize(0);
+const STEM_RADIUS = 300;
+const GROUND_RING = { inner: 2200, outer: 4200, segments: 50 };
+const BOWL = { inner: 800, outer: 1800, segments: 32, offsetY: -2600 };
+const COLUMN_COLOR = 0x66aaff;
+const HOVER_SCALE = 1.3; // hovered or selected
+const SELECTED_COLOR = 0x00e5ff;
+
+// Nose up / down from the climb angle, limited for steep climbs at low
+// speed (helicopters)
+const MAX_PITCH_DEG = 30;
+
+// Id labels come from a pool of sprites, handed to the hovered plane and
+// then the ones nearest the camera, re-assigned every LABEL_REFRESH_MS
+const ID_LABEL_OFFSET = 800;
+const COORD_LABEL_OFFSET = 9000;
+const LABEL_REFRESH_MS = 250;
+
+// 1 -> 0 with zero slope at both ends
+function easeOut(t) {
+  if (t >= 1) return 0;
+  return 1 - t * t * (3 - 2 * t);
+}
 
 export function usePlanes({
   scene,
   camera,
   domElement,
   labelsApi,
+  sensorsApi = null, // useSensors instance, enables visibility / detection
+  // sensor end of the hover line when there are no sensors
   fixedPointPosition = new THREE.Vector3(0, 0, 0),
   altScale = 10,
   maxRadius = 300_000, // 300 km
+  earthModel = FLAT_EARTH, // geodesy earth model, curved lowers distant planes
+  // Dead reckoning: between reports, planes move on from their last fix by
+  // speed / heading / verticalRate (see updatePlanes), and a new report is
+  // blended in over blendSeconds instead of snapping to it
+  deadReckoning = true,
+  blendSeconds = 1,
+  maxExtrapolationSeconds = 10, // then the plane stops and shows as stale
+  // Breadcrumb trails of past fixes (usePlaneTrails options), null = none
+  trails = { maxPoints: 120, maxAgeSeconds: 300, dropLines: false },
+  maxLabels = 40, // id labels shown at once
+  // category -> glTF model entry, see utils/aircraftModels.js; null = cubes
+  models = DEFAULT_AIRCRAFT_MODELS,
 }) {
-  const R = 6_371_000;
-  const deg2rad = Math.PI / 180;
-
-  const planeGroups = new Map(); // id -> group
-  const pickMeshes = []; // meshes used for raycasting
+  const tracks = new Map(); // id -> track, see addTrack()
+  let currentOrigin = null;
+  let disposed = false;
 
   const raycaster = new THREE.Raycaster();
   const pointer = new THREE.Vector2();
-  let hoveredGroup = null;
+  let hoveredId = null;
+  // Clicked plane (selectPlane), highlighted until another is selected; may
+  // name an id that has no track yet / anymore
+  const selectedId = shallowRef(null);
+
+  // id -> PLANE_VISIBILITY value, replaced when any status changes
+  const visibility = shallowRef({});
+  // id -> number of sensors detecting the plane, replaced on any change
+  const detectedBy = shallowRef({});
+  // "status": planes colored by visibility; "count": detected planes by
+  // the number of sensors detecting them (SENSOR_COUNT_COLORS)
+  let colorMode = "status";
 
   // --- Shared line origin->plane + angle label ---
   const lineGeometry = new THREE.BufferGeometry().setFromPoints([
@@ -30,6 +136,18 @@ export function usePlanes({
     transparent: true,
     opacity: 0.8,
   });
+  // Dashed variant for planes the terrain hides from the sensor
+  const dashedLineMaterial = new THREE.LineDashedMaterial({
+    color: 0xffff00,
+    transparent: true,
+    opacity: 0.6,
+    dashSize: 3000,
+    gapSize: 2000,
+  });
+  const trailsApi = trails
+    ? usePlaneTrails({ scene, toScene: enuToScene, ...trails })
+    : null;
+
   const elevLine = new THREE.Line(lineGeometry, lineMaterial);
   elevLine.visible = false;
   scene.add(elevLine);
@@ -42,24 +160,23 @@ export function usePlanes({
   scene.add(elevAngleSprite);
   labelsApi.registerLabelSprite(elevAngleSprite, { sizeMultiplier: 0.9 });
 
+  // Hovered plane's coordinates
+  const coordLabelSprite = labelsApi.createTextSprite(" ", {
+    fontSize: 44,
+    padding: 8,
+  });
+  coordLabelSprite.visible = false;
+  scene.add(coordLabelSprite);
+  labelsApi.registerLabelSprite(coordLabelSprite, { sizeMultiplier: 0.9 });
+
   // -------------------------------------------------------------------
   // Helpers
   // -------------------------------------------------------------------
-  function latLonAltToLocalENU(lat, lon, alt, origin) {
-    const phi0 = origin.lat * deg2rad;
-    const lam0 = origin.lng * deg2rad;
-
-    const phi = lat * deg2rad;
-    const lam = lon * deg2rad;
-
-    const dPhi = phi - phi0;
-    const dLam = lam - lam0;
-
-    const xEast = R * dLam * Math.cos(phi0); // meters east
-    const zNorth = R * dPhi; // meters north
-    const yUp = (alt ?? 0) * altScale;
-
-    return new THREE.Vector3(xEast, yUp, -zNorth);
+  // Scene position; with a curved earth model the altitude is measured from
+  // the dropped sea level below the plane
+  function enuToScene(east, north, alt, out = new THREE.Vector3()) {
+    const yUp = ((alt ?? 0) - earthModel.dropAt(east, north)) * altScale;
+    return out.set(east, yUp, -north);
   }
 
   function formatLat(lat) {
@@ -76,318 +193,909 @@ export function usePlanes({
     return `${Math.round(altMeters)} m`;
   }
 
-  function createPlaneGroup(planeId) {
-    const group = new THREE.Group();
-
-    // ---------------------------
-    // BODY
-    // ---------------------------
-    const bodyGroup = new THREE.Group();
+  // -------------------------------------------------------------------
+  // Instanced parts
+  // -------------------------------------------------------------------
+  // Altitude column under every plane: stem from sea level up to the plane,
+  // ring at its foot, bowl under the body
+  const columnSet = createInstancedSet(scene, [
+    {
+      // unit-height column standing on y = 0, scaled to the altitude
+      geometry: new THREE.CylinderGeometry(
+        STEM_RADIUS,
+        STEM_RADIUS,
+        1,
+        12
+      ).translate(0, 0.5, 0),
+      material: new THREE.MeshBasicMaterial({
+        color: COLUMN_COLOR,
+        transparent: true,
+        depthWrite: false,
+      }),
+      opacityScale: 0.4,
+    },
+    {
+      geometry: new THREE.RingGeometry(
+        GROUND_RING.inner,
+        GROUND_RING.outer,
+        GROUND_RING.segments
+      ).rotateX(-Math.PI / 2),
+      material: new THREE.MeshBasicMaterial({
+        color: COLUMN_COLOR,
+        side: THREE.DoubleSide,
+        transparent: true,
+        depthWrite: false,
+      }),
+    },
+    {
+      geometry: new THREE.RingGeometry(
+        BOWL.inner,
+        BOWL.outer,
+        BOWL.segments
+      ).rotateX(-Math.PI / 2),
+      material: new THREE.MeshBasicMaterial({
+        color: COLUMN_COLOR,
+        side: THREE.DoubleSide,
+        transparent: true,
+        depthWrite: false,
+      }),
+      opacityScale: 0.5,
+    },
+  ]);
+  const [stemPart, groundRingPart, bowlPart] = columnSet.parts;
+
+  // Bodies are unit size, scaled per frame. The cube is white: the plane
+  // color is its per-instance color.
+  const cubeSet = createInstancedSet(scene, [
+    {
+      geometry: new THREE.BoxGeometry(1, 1, 1).translate(0, 0, -0.08), // nose
+      material: new THREE.MeshStandardMaterial({
+        color: 0xffffff,
+        metalness: 0.2,
+        roughness: 0.5,
+        transparent: true,
+      }),
+      colored: true,
+    },
+  ]);
+  const modelSets = new Map(); // category -> instanced set, once loaded
+
+  // Load the registry's models; planes switch from the cube as each arrives
+  function loadModels() {
+    for (const [category, entry] of Object.entries(models ?? {})) {
+      if (!entry?.url) continue;
+      loadAircraftModel(entry)
+        .then((parts) => {
+          if (disposed) {
+            for (const { geometry, material } of parts) {
+              geometry.dispose();
+              [material].flat().forEach((m) => m.dispose());
+            }
+            return;
+          }
+          modelSets.set(
+            category,
+            createInstancedSet(
+              scene,
+              parts.map((part) => ({ ...part, colored: true }))
+            )
+          );
+          for (const track of tracks.values()) placeBody(track);
+        })
+        .catch((err) =>
+          console.warn(`usePlanes: ${category} model ${entry.url}`, err)
+        );
+    }
+  }
 
-    const bodyGeom = new THREE.BoxGeometry(5000, 5000, 5000);
-    const bodyMat = new THREE.MeshStandardMaterial({
-      color: 0xffaa00,
-      metalness: 0.2,
-      roughness: 0.5,
-    });
-    const mesh = new THREE.Mesh(bodyGeom, bodyMat);
-    mesh.geometry.translate(0, 0, -400); // nose
+  function bodySets() {
+    return [cubeSet, ...modelSets.values()];
+  }
 
-    bodyGroup.add(mesh);
+  // Move the plane's body to its category's model set (or the cube)
+  function placeBody(track) {
+    const set = modelSets.get(track.category) ?? cubeSet;
+    if (track.bodySet === set) return;
+    if (track.bodySet) releaseSlot(track.bodySet, track.bodySlot, "bodySlot");
+    track.bodySet = set;
+    track.bodySlot = set.add(track.id);
+    track.styleDirty = true;
+  }
 
-    // ID label
-    const idLabel = labelsApi.createTextSprite(String(planeId), {
-      fontSize: 48,
-      padding: 8,
-    });
-    idLabel.position.set(0, 800, 0);
-    bodyGroup.add(idLabel);
-    labelsApi.registerLabelSprite(idLabel, { sizeMultiplier: 0.8 });
-
-    group.add(bodyGroup);
-
-    // ---------------------------
-    // ALTITUDE COLUMN & RINGS
-    // ---------------------------
-    const stemRadius = 300;
-    const stemGeom = new THREE.CylinderGeometry(stemRadius, stemRadius, 1, 12);
-    const stemMat = new THREE.MeshBasicMaterial({
-      color: 0x66aaff,
-      transparent: true,
-      opacity: 0.4,
-      depthWrite: false,
-    });
+  // Free a slot; the plane moved into it needs its style rewritten
+  function releaseSlot(set, slot, slotKey) {
+    const movedId = set.remove(slot);
+    if (movedId == null) return;
+    const moved = tracks.get(movedId);
+    moved[slotKey] = slot;
+    moved.styleDirty = true;
+  }
 
-    const columnGroup = new THREE.Group();
-    const stem = new THREE.Mesh(stemGeom, stemMat);
-    columnGroup.add(stem);
-    group.add(columnGroup);
-
-    const groundRingInner = 2200;
-    const groundRingOuter = 4200;
-    const groundRingGeom = new THREE.RingGeometry(
-      groundRingInner,
-      groundRingOuter,
-      50
-    );
-    const groundRingMat = new THREE.MeshBasicMaterial({
-      color: 0x66aaff,
-      side: THREE.DoubleSide,
-      depthWrite: false,
-    });
-    const groundRing = new THREE.Mesh(groundRingGeom, groundRingMat);
-    groundRing.rotation.x = -Math.PI / 2;
-    group.add(groundRing);
-
-    const bowlInner = 800;
-    const bowlOuter = 1800;
-    const bowlGeom = new THREE.RingGeometry(bowlInner, bowlOuter, 32);
-    const bowlMat = new THREE.MeshBasicMaterial({
-      color: 0x66aaff,
-      transparent: true,
-      opacity: 0.5,
-      side: THREE.DoubleSide,
-      depthWrite: false,
-    });
-    const bowl = new THREE.Mesh(bowlGeom, bowlMat);
-    bowl.rotation.x = -Math.PI / 2;
-    bowl.position.y = -2600;
-    group.add(bowl);
-
-    // Hover-only coord label sprite (created lazily)
-    let coordLabelSprite = null;
-
-    group.userData = {
-      bodyGroup,
-      mesh,
-      stem,
-      columnGroup,
-      groundRing,
-      bowl,
-      coordLabelSprite,
-      geodetic: null, // { lat, lng, altMeters }
-    };
+  loadModels();
+
+  /**
+   * Classify a plane against every sensor's beam, terrain shadow and
+   * probability of detection (useCoverage.assess), keeping the results on
+   * the track:
+   *   track.detections  [{ sensorId, status, pd, range }], sensor order
+   *   track.detectedBy  number of sensors detecting it
+   *   track.pd          Pd of any sensor, 1 - Π(1 - pd), sensors taken as
+   *                     independent; null without sensors
+   * Returns the best status. Works in true meters: x/z are world meters,
+   * altMeters is unscaled.
+   */
+  function classifyPlane(track, x, z, altMeters) {
+    const sensors = sensorsApi?.sensors() ?? [];
+    track.detections = [];
+    track.detectedBy = 0;
+    track.pd = null;
+    if (!sensors.length) return PLANE_VISIBILITY.VISIBLE;
+
+    let best = PLANE_VISIBILITY.OUTSIDE;
+    let missed = 1;
+    for (const { sensor, coverage } of sensors) {
+      const { radar } = coverage;
+      const seen = coverage.assess(
+        x,
+        z,
+        altMeters,
+        radar.rcsOf(track.category)
+      );
+      const status = !seen.inBeam
+        ? PLANE_VISIBILITY.OUTSIDE
+        : seen.masked
+        ? PLANE_VISIBILITY.MASKED
+        : seen.pd >= radar.params.pdThreshold
+        ? PLANE_VISIBILITY.VISIBLE
+        : PLANE_VISIBILITY.UNDETECTED;
+
+      track.detections.push({
+        sensorId: sensor.id,
+        status,
+        pd: seen.pd,
+        range: seen.range,
+      });
+      if (status === PLANE_VISIBILITY.VISIBLE) track.detectedBy++;
+      if (VISIBILITY_RANK[status] < VISIBILITY_RANK[best]) best = status;
+      missed *= 1 - seen.pd;
+    }
+    track.pd = 1 - missed;
+    return best;
+  }
 
-    // Raycasting: pick on the body mesh
-    mesh.userData.planeGroup = group;
-    pickMeshes.push(mesh);
+  const scratchColor = new THREE.Color();
 
-    scene.add(group);
-    return group;
+  // Color of a plane in the current color mode (trails, tinted bodies)
+  function planeColor(track, status) {
+    if (colorMode === "count" && status === PLANE_VISIBILITY.VISIBLE) {
+      return (
+        sensorCountColor(track.detectedBy) ?? VISIBILITY_STYLES[status].color
+      );
+    }
+    return VISIBILITY_STYLES[status].color;
   }
 
-  function updateAltitudeColumn(group, worldPosY) {
-    const { stem, columnGroup, groundRing } = group.userData;
-    if (!stem || !columnGroup || !groundRing) return;
-
-    if (worldPosY <= 0) {
-      stem.visible = false;
-      groundRing.visible = false;
+  // Color / opacities of the plane's instances, written only on change
+  function applyVisibilityStyle(track, status, stale = false) {
+    const count = colorMode === "count" ? track.detectedBy : 0;
+    if (
+      !track.styleDirty &&
+      track.visibility === status &&
+      track.stale === stale &&
+      track.styledCount === count
+    ) {
       return;
     }
+    track.visibility = status;
+    track.stale = stale;
+    track.styledCount = count;
+    track.styleDirty = false;
+
+    const style = VISIBILITY_STYLES[status];
+    const fade = stale ? STALE_OPACITY : 1;
+
+    // models keep their own colors unless the plane is masked / outside
+    // (or colored by sensor count)
+    const tinted =
+      track.bodySet === cubeSet ||
+      status !== PLANE_VISIBILITY.VISIBLE ||
+      colorMode === "count";
+    if (track.id === selectedId.value) scratchColor.setHex(SELECTED_COLOR);
+    else if (tinted) scratchColor.set(planeColor(track, status));
+    else scratchColor.setHex(0xffffff);
+    track.bodySet.setColor(track.bodySlot, scratchColor);
+    track.bodySet.setOpacity(track.bodySlot, style.opacity * fade);
+    columnSet.setOpacity(track.slot, style.columnOpacity * fade);
+  }
 
-    stem.visible = true;
-    groundRing.visible = true;
+  const scratchMatrix = new THREE.Matrix4();
+  const scratchQuat = new THREE.Quaternion();
+  const scratchEuler = new THREE.Euler(0, 0, 0, "YXZ");
+  const scratchScale = new THREE.Vector3();
+  const scratchPos = new THREE.Vector3();
+  const noRotation = new THREE.Quaternion();
+  const hiddenMatrix = new THREE.Matrix4().makeScale(0, 0, 0);
+
+  // Matrices of the plane's instances from its display state
+  function writeInstances(track) {
+    const size =
+      screenScaledSize(
+        camera.position.distanceTo(track.position),
+        BODY_SIZE_MULTIPLIER
+      ) * (isHighlighted(track.id) ? HOVER_SCALE : 1);
+    // the column parts are drawn for BODY_SIZE
+    const s = size / BODY_SIZE;
+    track.bodyScale = s;
+
+    // body, turned to the heading and pitched to the climb
+    scratchEuler.set(track.pitch, track.yaw, 0);
+    scratchQuat.setFromEuler(scratchEuler);
+    scratchScale.setScalar(size);
+    scratchMatrix.compose(track.position, scratchQuat, scratchScale);
+    track.bodySet.setMatrix(track.bodySlot, scratchMatrix);
+
+    // bowl under the body
+    const i = track.slot;
+    scratchPos.copy(track.position);
+    scratchPos.y += BOWL.offsetY * s;
+    scratchScale.setScalar(s);
+    scratchMatrix.compose(scratchPos, noRotation, scratchScale);
+    bowlPart.mesh.setMatrixAt(i, scratchMatrix);
+
+    // column down to sea level below the plane, ring at its foot
+    const columnHeight = track.altMeters * altScale;
+    if (columnHeight <= 0) {
+      stemPart.mesh.setMatrixAt(i, hiddenMatrix);
+      groundRingPart.mesh.setMatrixAt(i, hiddenMatrix);
+      return;
+    }
+    scratchPos.copy(track.position);
+    scratchPos.y -= columnHeight;
+    scratchMatrix.makeScale(1, columnHeight, 1).setPosition(scratchPos);
+    stemPart.mesh.setMatrixAt(i, scratchMatrix);
+    scratchMatrix.makeTranslation(scratchPos);
+    groundRingPart.mesh.setMatrixAt(i, scratchMatrix);
+  }
 
-    columnGroup.position.set(0, -worldPosY / 2, 0);
-    stem.scale.set(1, worldPosY, 1);
+  // Climb angle of a fix, radians
+  function pitchOf(fix) {
+    const maxPitch = THREE.MathUtils.degToRad(MAX_PITCH_DEG);
+    const pitch = Math.atan2(fix.verticalRate, Math.max(fix.speed, 0));
+    return THREE.MathUtils.clamp(pitch, -maxPitch, maxPitch);
+  }
 
-    groundRing.position.set(0, -worldPosY, 0);
+  // Sensor end of the hover line: the nearest sensor detecting the plane,
+  // else the first one
+  function sensorPointFor(track) {
+    const sensors = sensorsApi?.sensors() ?? [];
+    if (!sensors.length) return fixedPointPosition;
+
+    let nearest = 0;
+    let nearestRange = Infinity;
+    track.detections.forEach((d, i) => {
+      if (d.status === PLANE_VISIBILITY.VISIBLE && d.range < nearestRange) {
+        nearest = i;
+        nearestRange = d.range;
+      }
+    });
+    return (sensors[nearest] ?? sensors[0]).coverage.getApexPosition();
   }
 
-  function computeElevationAngle(planePos) {
-    const dx = planePos.x - fixedPointPosition.x;
-    const dz = planePos.z - fixedPointPosition.z;
-    const dy = planePos.y - fixedPointPosition.y;
+  function computeElevationAngle(from, planePos) {
+    const dx = planePos.x - from.x;
+    const dz = planePos.z - from.z;
+    const dy = planePos.y - from.y;
 
     const horiz = Math.hypot(dx, dz);
     const angleRad = Math.atan2(dy, horiz);
     return (angleRad * 180) / Math.PI;
   }
 
-  function setHoveredGroup(newGroup) {
-    if (newGroup === hoveredGroup) return;
+  // -------------------------------------------------------------------
+  // Labels
+  // -------------------------------------------------------------------
+  const labelPool = []; // { sprite, id }, id null = free
+  let labelsRefreshedAt = -Infinity;
+
+  function createPooledLabel() {
+    const sprite = labelsApi.createTextSprite(" ", {
+      fontSize: 48,
+      padding: 8,
+    });
+    sprite.visible = false;
+    scene.add(sprite);
+    labelsApi.registerLabelSprite(sprite, { sizeMultiplier: 0.8 });
+    const entry = { sprite, id: null };
+    labelPool.push(entry);
+    return entry;
+  }
 
-    // Clear previous
-    if (hoveredGroup) {
-      hoveredGroup.scale.set(1, 1, 1);
+  // Hand the pool out: selected and hovered planes first, then nearest to
+  // the camera. Labels already on a wanted plane stay where they are.
+  function assignLabels() {
+    const wanted = [selectedId.value, hoveredId].filter(
+      (id, i, ids) => id != null && tracks.has(id) && ids.indexOf(id) === i
+    );
 
-      const ud = hoveredGroup.userData;
-      if (ud.coordLabelSprite) {
-        ud.coordLabelSprite.visible = false;
-      }
+    const byDistance = [];
+    for (const [id, track] of tracks) {
+      if (isHighlighted(id)) continue;
+      byDistance.push([track.position.distanceToSquared(camera.position), id]);
+    }
+    byDistance.sort((a, b) => a[0] - b[0]);
+    for (const [, id] of byDistance) {
+      if (wanted.length >= maxLabels) break;
+      wanted.push(id);
     }
 
-    hoveredGroup = newGroup;
+    const wantedIds = new Set(wanted);
+    const labelled = new Set();
+    const free = [];
+    for (const entry of labelPool) {
+      if (entry.id != null && wantedIds.has(entry.id)) labelled.add(entry.id);
+      else free.push(entry);
+    }
+    for (const id of wanted) {
+      if (labelled.has(id)) continue;
+      (free.pop() ?? createPooledLabel()).id = id;
+    }
+    for (const entry of free) entry.id = null;
 
-    if (!hoveredGroup) {
-      elevLine.visible = false;
-      elevAngleSprite.visible = false;
-      return;
+    for (const entry of labelPool) {
+      if (entry.id == null) continue;
+      labelsApi.updateTextSprite(entry.sprite, tracks.get(entry.id).label, {
+        fontSize: 48,
+        padding: 8,
+      });
     }
+  }
 
-    // Scale up
-    hoveredGroup.scale.set(1.3, 1.3, 1.3);
+  function updateLabels(now) {
+    if (now - labelsRefreshedAt >= LABEL_REFRESH_MS) {
+      assignLabels();
+      labelsRefreshedAt = now;
+    }
 
-    const ud = hoveredGroup.userData;
-    const planePos = hoveredGroup.position;
+    for (const { sprite, id } of labelPool) {
+      const track = id != null ? tracks.get(id) : null;
+      sprite.visible = !!track;
+      if (!track) continue;
+      sprite.position.copy(track.position);
+      sprite.position.y += ID_LABEL_OFFSET * track.bodyScale;
+    }
+  }
 
-    // Coordinates label (create lazily)
-    if (!ud.coordLabelSprite && ud.geodetic) {
-      const { lat, lng, altMeters } = ud.geodetic;
-      const text = `${formatLat(lat)}\n${formatLon(lng)}\n${formatAlt(
-        altMeters
-      )}`;
+  // -------------------------------------------------------------------
+  // Hover / selection
+  // -------------------------------------------------------------------
+  function isHighlighted(id) {
+    return id === hoveredId || id === selectedId.value;
+  }
 
-      ud.coordLabelSprite = labelsApi.createTextSprite(text, {
-        fontSize: 44,
-        padding: 8,
-      });
-      ud.coordLabelSprite.position.set(0, 9000, 0);
-      ud.bodyGroup.add(ud.coordLabelSprite);
-      labelsApi.registerLabelSprite(ud.coordLabelSprite, {
-        sizeMultiplier: 0.9,
-      });
-    } else if (ud.coordLabelSprite && ud.geodetic) {
-      // NOTE: to keep things simple I'm not updating the text here;
-      // if you add a `updateTextSprite(sprite, text)` helper in `useLabels`,
-      // call it here when geodetic changes.
-      ud.coordLabelSprite.visible = true;
+  function setHoveredId(id) {
+    if (id === hoveredId) return;
+    hoveredId = id;
+    labelsRefreshedAt = -Infinity; // label the new one right away
+    updateHoverLine();
+  }
+
+  /**
+   * Select a plane by id (null = none). The selected plane stays enlarged,
+   * colored and labelled, and gets the sensor line while nothing is
+   * hovered.
+   */
+  function selectPlane(id) {
+    id = id ?? null;
+    if (id === selectedId.value) return;
+    for (const oldOrNew of [selectedId.value, id]) {
+      const track = tracks.get(oldOrNew);
+      if (track) track.styleDirty = true;
     }
+    selectedId.value = id;
+    labelsRefreshedAt = -Infinity;
+    updateHoverLine();
+  }
 
-    if (ud.coordLabelSprite) {
-      ud.coordLabelSprite.visible = true;
+  // Sensor -> plane line, elevation and coordinate labels for the hovered
+  // plane, else the selected one; follows the plane
+  function updateHoverLine() {
+    const id = hoveredId ?? selectedId.value;
+    const track = id != null ? tracks.get(id) : null;
+    if (!track) {
+      elevLine.visible = false;
+      elevAngleSprite.visible = false;
+      coordLabelSprite.visible = false;
+      return;
     }
+    const planePos = track.position;
 
-    // Update line
-    const posAttr = elevLine.geometry.attributes.position;
-    posAttr.setXYZ(
-      0,
-      fixedPointPosition.x,
-      fixedPointPosition.y,
-      fixedPointPosition.z
+    const { lat, lng, altMeters } = track.geodetic;
+    labelsApi.updateTextSprite(
+      coordLabelSprite,
+      `${formatLat(lat)}\n${formatLon(lng)}\n${formatAlt(altMeters)}`,
+      { fontSize: 44, padding: 8 }
     );
+    coordLabelSprite.position.copy(planePos);
+    coordLabelSprite.position.y += COORD_LABEL_OFFSET * track.bodyScale;
+    coordLabelSprite.visible = true;
+
+    const from = sensorPointFor(track);
+    const posAttr = elevLine.geometry.attributes.position;
+    posAttr.setXYZ(0, from.x, from.y, from.z);
     posAttr.setXYZ(1, planePos.x, planePos.y, planePos.z);
     posAttr.needsUpdate = true;
+
+    if (track.visibility === PLANE_VISIBILITY.MASKED) {
+      elevLine.material = dashedLineMaterial;
+      elevLine.computeLineDistances();
+    } else {
+      elevLine.material = lineMaterial;
+    }
     elevLine.visible = true;
+    elevLine.geometry.computeBoundingSphere();
 
     // Elevation angle label
-    const elevDeg = computeElevationAngle(planePos);
-    // same note: ideally use labelsApi.updateTextSprite
-    const mid = new THREE.Vector3()
-      .addVectors(fixedPointPosition, planePos)
-      .multiplyScalar(0.5);
-    mid.y += 6000; // lift a bit so it doesn't sit inside the line
-
-    elevAngleSprite.position.copy(mid);
+    const elevDeg = computeElevationAngle(from, planePos);
+    labelsApi.updateTextSprite(elevAngleSprite, `${elevDeg.toFixed(1)}°`, {
+      fontSize: 48,
+      padding: 6,
+    });
+    elevAngleSprite.position.addVectors(from, planePos).multiplyScalar(0.5);
+    elevAngleSprite.position.y += 6000; // lift a bit so it doesn't sit inside the line
     elevAngleSprite.visible = true;
   }
 
-  function onPointerMove(event) {
+  // Plane id under a pointer event (instance picking on the bodies), or null
+  function pickPlaneId(event) {
+    if (!tracks.size) return null;
+
     const rect = domElement.getBoundingClientRect();
     pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
     pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
 
+    const bodies = bodySets().flatMap((set) => set.meshes());
+    // instances moved since the last pick
+    for (const mesh of bodies) mesh.boundingSphere = null;
+
     raycaster.setFromCamera(pointer, camera);
-    const intersects = raycaster.intersectObjects(pickMeshes, false);
+    const hit = raycaster.intersectObjects(bodies, false)[0];
+    return hit ? hit.object.userData.instanceIds[hit.instanceId] ?? null : null;
+  }
 
-    if (intersects.length > 0) {
-      const mesh = intersects[0].object;
-      const group = mesh.userData.planeGroup;
-      setHoveredGroup(group || null);
-    } else {
-      setHoveredGroup(null);
-    }
+  // Current scene position of a plane (live vector, don't modify), or null
+  function getPlanePosition(id) {
+    return tracks.get(id)?.position ?? null;
+  }
+
+  function onPointerMove(event) {
+    setHoveredId(pickPlaneId(event));
   }
 
   function onPointerLeave() {
-    setHoveredGroup(null);
+    setHoveredId(null);
   }
 
   domElement.addEventListener("pointermove", onPointerMove);
   domElement.addEventListener("pointerleave", onPointerLeave);
 
+  // -------------------------------------------------------------------
+  // Dead reckoning
+  // -------------------------------------------------------------------
+
+  /**
+   * Dead-reckoning part of a track:
+   *   fix:    last report in local meters { east, north, alt, heading,
+   *           speed, verticalRate, time }
+   *   offset: display minus the new fix's track when it arrived
+   *           { east, north, alt, heading }, faded out over blendSeconds
+   *   blendStart: ms when the offset was taken
+   * Times are Date.now() ms, like the track source's lastUpdate.
+   */
+  function fixFromPlane(plane, now) {
+    const { east, north } = geodeticToLocalENU(
+      plane.lat,
+      plane.lng,
+      currentOrigin
+    );
+    // report time, but never later than its arrival (clock skew)
+    const arrived = plane.lastUpdate ?? now;
+    const time = Math.min(plane.time ?? arrived, arrived);
+
+    return {
+      east,
+      north,
+      alt: plane.alt ?? 0,
+      heading: plane.heading ?? null,
+      speed: plane.speed ?? 0,
+      verticalRate: plane.verticalRate ?? 0,
+      time,
+    };
+  }
+
+  // Seconds the fix may be carried forward at `now`
+  function extrapolationAge(fix, now) {
+    if (!deadReckoning) return 0;
+    const age = (now - fix.time) / 1000;
+    return Math.min(Math.max(age, 0), maxExtrapolationSeconds);
+  }
+
+  // Fix carried forward to `now` along its heading, without blending
+  function extrapolate(fix, now, out) {
+    const age = extrapolationAge(fix, now);
+    const headingRad = THREE.MathUtils.degToRad(fix.heading ?? 0);
+    const ground = fix.heading == null ? 0 : fix.speed * age;
+
+    out.east = fix.east + Math.sin(headingRad) * ground;
+    out.north = fix.north + Math.cos(headingRad) * ground;
+    out.alt = fix.alt + fix.verticalRate * age;
+    out.heading = fix.heading;
+    return out;
+  }
+
+  // Displayed state: extrapolated fix plus the fading correction
+  function displayState(state, now, out = {}) {
+    extrapolate(state.fix, now, out);
+    if (!state.offset) return out;
+
+    const fade = easeOut((now - state.blendStart) / (blendSeconds * 1000));
+    if (fade === 0) {
+      state.offset = null;
+      return out;
+    }
+    out.east += state.offset.east * fade;
+    out.north += state.offset.north * fade;
+    out.alt += state.offset.alt * fade;
+    if (out.heading != null) out.heading += state.offset.heading * fade;
+    return out;
+  }
+
+  // New report for a plane: keep the display where it is and fade the
+  // difference to the new track out over blendSeconds
+  function applyFix(state, fix, now) {
+    const blend = deadReckoning && blendSeconds > 0 && state.fix;
+    const from = blend ? displayState(state, now) : null;
+
+    state.fix = fix;
+    state.offset = null;
+    if (!from) return;
+
+    const to = extrapolate(fix, now, {});
+    const offset = {
+      east: from.east - to.east,
+      north: from.north - to.north,
+      alt: from.alt - to.alt,
+      heading:
+        from.heading != null && to.heading != null
+          ? wrapDeg180(from.heading - to.heading)
+          : 0,
+    };
+    if (Math.hypot(offset.east, offset.north) > MAX_BLEND_METERS) return;
+
+    state.offset = offset;
+    state.blendStart = now;
+  }
+
+  // Changes whenever a new report for the plane came in
+  function fixKey(plane) {
+    return `${plane.lat},${plane.lng},${plane.alt},${plane.heading},${
+      plane.time ?? plane.lastUpdate
+    }`;
+  }
+
+  // -------------------------------------------------------------------
+  // Tracks / instance slots
+  // -------------------------------------------------------------------
+  function addTrack(id) {
+    const track = {
+      id,
+      slot: columnSet.add(id),
+      bodySet: null, // cube or the category's model, see placeBody()
+      bodySlot: -1,
+      category: "unknown",
+      // dead reckoning, see applyFix()
+      key: null,
+      fix: null,
+      offset: null,
+      blendStart: 0,
+      reportedStale: false,
+      // display, written by updatePlanes()
+      position: new THREE.Vector3(),
+      yaw: 0,
+      pitch: 0,
+      altMeters: 0,
+      bodyScale: 1, // body size / BODY_SIZE
+      visibility: null, // PLANE_VISIBILITY value
+      // per-sensor detection, see classifyPlane()
+      detections: [],
+      detectedBy: 0,
+      pd: null,
+      styledCount: 0,
+      stale: false,
+      styleDirty: true,
+      label: String(id),
+      geodetic: null, // { lat, lng, altMeters } for the hover label
+    };
+    tracks.set(id, track);
+    placeBody(track);
+    return track;
+  }
+
+  function removeTrack(id) {
+    const track = tracks.get(id);
+    if (!track) return;
+    if (id === hoveredId) setHoveredId(null);
+
+    tracks.delete(id);
+    releaseSlot(columnSet, track.slot, "slot");
+    releaseSlot(track.bodySet, track.bodySlot, "bodySlot");
+    trailsApi?.removeTrail(id);
+    labelsRefreshedAt = -Infinity;
+  }
+
   // -------------------------------------------------------------------
   // Public: sync planes
   // -------------------------------------------------------------------
-  function syncPlanes({ origin, planes }) {
+
+  /**
+   * Take the latest reports. Adds / removes planes and updates each
+   * track's fix; positions are set by updatePlanes().
+   */
+  function syncPlanes({ origin, planes }, now = Date.now()) {
     if (!origin) {
-      for (const [, group] of planeGroups.entries()) {
-        scene.remove(group);
-      }
-      planeGroups.clear();
-      setHoveredGroup(null);
+      for (const id of [...tracks.keys()]) removeTrack(id);
+      trailsApi?.clearTrails();
+      currentOrigin = null;
+      updatePlanes(now);
       return;
     }
 
+    // a new origin moves every fix: start over without blending
+    if (
+      currentOrigin &&
+      (currentOrigin.lat !== origin.lat || currentOrigin.lng !== origin.lng)
+    ) {
+      for (const track of tracks.values()) {
+        track.key = null;
+        track.fix = null;
+        track.offset = null;
+      }
+      trailsApi?.reproject((lat, lng) => geodeticToLocalENU(lat, lng, origin));
+    }
+    currentOrigin = origin;
+
     const seenIds = new Set();
 
     for (const plane of planes || []) {
       if (plane.lat == null || plane.lng == null) continue;
-      const altMeters = plane.alt ?? 0;
 
-      const pos = latLonAltToLocalENU(plane.lat, plane.lng, altMeters, origin);
+      let track = tracks.get(plane.id);
+      const key = fixKey(plane);
+      if (!track || track.key !== key) {
+        const fix = fixFromPlane(plane, now);
 
-      // radius cut
-      const radius2D = Math.hypot(pos.x, pos.z);
-      if (radius2D > maxRadius) continue;
+        // radius cut
+        if (Math.hypot(fix.east, fix.north) > maxRadius) continue;
 
-      let group = planeGroups.get(plane.id);
-      if (!group) {
-        group = createPlaneGroup(plane.id);
-        planeGroups.set(plane.id, group);
-      }
+        track ??= addTrack(plane.id);
+        track.key = key;
+        applyFix(track, fix, now);
+        trailsApi?.record(plane.id, { ...fix, lat: plane.lat, lng: plane.lng });
 
-      group.position.copy(pos);
+        track.geodetic = {
+          lat: plane.lat,
+          lng: plane.lng,
+          altMeters: plane.alt ?? 0,
+        };
+      }
+      track.reportedStale = !!plane.stale;
+      track.label = String(plane.callsign ?? plane.id);
 
-      if (plane.heading != null) {
-        const yawRad = THREE.MathUtils.degToRad(-plane.heading);
-        group.rotation.set(0, yawRad, 0);
+      const category = aircraftCategory(plane.category);
+      if (category !== track.category) {
+        track.category = category;
+        placeBody(track);
       }
 
-      // store geodetic for hover label
-      group.userData.geodetic = {
-        lat: plane.lat,
-        lng: plane.lng,
-        altMeters,
-      };
+      seenIds.add(plane.id);
+    }
 
-      updateAltitudeColumn(group, pos.y);
+    // Remove planes that disappeared (or left the radius)
+    for (const id of [...tracks.keys()]) {
+      if (!seenIds.has(id)) removeTrack(id);
+    }
 
-      seenIds.add(plane.id);
+    updatePlanes(now);
+  }
+
+  /**
+   * Place every plane at its dead-reckoned position for `now` and
+   * re-classify it against the coverage. Call once per animation frame.
+   */
+  const scratchState = {};
+  function updatePlanes(now = Date.now()) {
+    let changed = false;
+    let countsChanged = false;
+    const nextVisibility = {};
+    const nextDetectedBy = {};
+
+    for (const [id, track] of tracks) {
+      const d = displayState(track, now, scratchState);
+      enuToScene(d.east, d.north, d.alt, track.position);
+      if (d.heading != null) track.yaw = THREE.MathUtils.degToRad(-d.heading);
+      // level once the plane stops being carried forward
+      const extrapolatedOut =
+        deadReckoning &&
+        (now - track.fix.time) / 1000 > maxExtrapolationSeconds;
+      track.pitch = extrapolatedOut ? 0 : pitchOf(track.fix);
+      track.altMeters = d.alt;
+
+      const status = classifyPlane(
+        track,
+        track.position.x,
+        track.position.z,
+        d.alt
+      );
+      applyVisibilityStyle(
+        track,
+        status,
+        track.reportedStale || extrapolatedOut
+      );
+      writeInstances(track);
+
+      nextVisibility[id] = status;
+      if (visibility.value[id] !== status) changed = true;
+      nextDetectedBy[id] = track.detectedBy;
+      if (detectedBy.value[id] !== track.detectedBy) countsChanged = true;
     }
 
-    // Remove planes that disappeared
-    for (const [id, group] of planeGroups.entries()) {
-      if (!seenIds.has(id)) {
-        scene.remove(group);
-        planeGroups.delete(id);
-      }
+    columnSet.commit();
+    for (const set of bodySets()) set.commit();
+
+    if (
+      changed ||
+      Object.keys(nextVisibility).length !==
+        Object.keys(visibility.value).length
+    ) {
+      visibility.value = nextVisibility;
+    }
+    if (
+      countsChanged ||
+      Object.keys(nextDetectedBy).length !==
+        Object.keys(detectedBy.value).length
+    ) {
+      detectedBy.value = nextDetectedBy;
+    }
+
+    trailsApi?.update(now, { headOf: trailHead, colorOf: trailColor });
+    updateLabels(now);
+    updateHoverLine();
+  }
+
+  function trailHead(id) {
+    return tracks.get(id)?.position ?? null;
+  }
+
+  function trailColor(id) {
+    const track = tracks.get(id);
+    const status = track?.visibility;
+    if (!VISIBILITY_STYLES[status]) {
+      return VISIBILITY_STYLES[PLANE_VISIBILITY.VISIBLE].color;
     }
+    return planeColor(track, status);
+  }
 
-    // If hovered plane moved, update line/angle position
-    if (hoveredGroup) {
-      setHoveredGroup(hoveredGroup);
+  // "status" or "count", see colorMode
+  function setColorMode(mode) {
+    if (mode !== "status" && mode !== "count") {
+      throw new Error(`usePlanes: unknown color mode "${mode}"`);
     }
+    colorMode = mode;
+  }
+
+  /**
+   * Detection state of a plane as of the last updatePlanes():
+   *   { status, pd, detectedBy, sensors: [{ id, name, color, status, pd,
+   *     range, rcs, detectionRange }] }
+   * status / pd / detectedBy as in classifyPlane(); per sensor its status,
+   * Pd, slant range and the range where the plane's RCS drops to that
+   * radar's Pd threshold (meters). Null for an unknown id.
+   */
+  function getDetection(id) {
+    const track = tracks.get(id);
+    if (!track) return null;
+
+    const sensors = sensorsApi?.sensors() ?? [];
+    return {
+      status: track.visibility,
+      pd: track.pd,
+      detectedBy: track.detectedBy,
+      sensors: track.detections.map((d, i) => {
+        const entry = sensors[i];
+        const radar = entry?.coverage.radar;
+        const rcs = radar ? radar.rcsOf(track.category) : null;
+        return {
+          id: d.sensorId,
+          name: entry?.sensor.name ?? d.sensorId,
+          color: entry?.sensor.color ?? null,
+          status: d.status,
+          pd: d.pd,
+          range: d.range,
+          rcs,
+          detectionRange: radar ? radar.detectionRange(rcs) : null,
+        };
+      }),
+    };
+  }
+
+  // { visible, dropLines }
+  function setTrailOptions(options) {
+    trailsApi?.setTrailOptions(options);
+  }
+
+  /**
+   * Trails of the current planes: [{ id, label, points: [{ time, lat,
+   * lng, alt }] }], planes without trail points left out.
+   */
+  function getTrails() {
+    if (!trailsApi) return [];
+    const out = [];
+    for (const [id, track] of tracks) {
+      const points = trailsApi.trailPoints(id);
+      if (points.length) out.push({ id, label: track.label, points });
+    }
+    return out;
+  }
+
+  // Forget every trail, e.g. when the clock jumps back during playback
+  function clearTrails() {
+    trailsApi?.clearTrails();
   }
 
   function disposePlanes() {
     domElement.removeEventListener("pointermove", onPointerMove);
     domElement.removeEventListener("pointerleave", onPointerLeave);
 
-    for (const [, group] of planeGroups.entries()) {
-      scene.remove(group);
+    disposed = true;
+    hoveredId = null;
+    selectedId.value = null;
+    tracks.clear();
+
+    columnSet.dispose();
+    for (const set of bodySets()) set.dispose();
+    modelSets.clear();
+    trailsApi?.disposeTrails();
+
+    const sprites = labelPool.map((entry) => entry.sprite);
+    sprites.push(coordLabelSprite, elevAngleSprite);
+    for (const sprite of sprites) {
+      scene.remove(sprite);
+      labelsApi.disposeTextSprite(sprite);
     }
-    planeGroups.clear();
+    labelPool.length = 0;
 
     scene.remove(elevLine);
-    scene.remove(elevAngleSprite);
+    lineGeometry.dispose();
+    lineMaterial.dispose();
+    dashedLineMaterial.dispose();
 
-    setHoveredGroup(null);
+    visibility.value = {};
+    detectedBy.value = {};
   }
 
   return {
     syncPlanes,
+    updatePlanes,
+    setTrailOptions,
+    getTrails,
+    clearTrails,
+    selectPlane,
+    pickPlaneId,
+    getPlanePosition,
+    getDetection,
+    setColorMode,
     disposePlanes,
+    visibility, // shallowRef: { [id]: PLANE_VISIBILITY value }
+    detectedBy, // shallowRef: { [id]: number of sensors detecting it }
+    selectedId, // shallowRef: id or null
   };
 }
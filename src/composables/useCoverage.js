@@ -1,97 +1,275 @@
 // src/composable/useCoverage.js
 import {
   Vector3,
-  ConeGeometry,
+  BufferGeometry,
+  Float32BufferAttribute,
   DoubleSide,
   MeshBasicMaterial,
   Mesh,
-  WireframeGeometry,
   LineBasicMaterial,
   LineSegments,
   MathUtils,
-  Quaternion,
 } from "three";
+import {
+  computeShadowField,
+  computeVertexShadowMask,
+  minVisibleAltitudeAt as shadowMinVisibleAltitudeAt,
+  sampleHeightBilinear,
+} from "@/utils/terrainShadow.js";
+import { FLAT_EARTH } from "@/utils/geodesy.js";
+import { discardBelowEarth } from "@/utils/earthCurvatureMaterial.js";
+import { createRadarModel } from "@/utils/radarModel.js";
+
+// Envelope tessellation and wire grid spacing, degrees
+const ENVELOPE_STEP_DEG = 2.5;
+const WIRE_STEP_DEG = 10;
+
 /**
- * Handles coverage cone + wire + orientation.
+ * Handles the sensor's coverage envelope + wire + orientation.
+ *
+ * The envelope is the radar's az / el sector (see utils/radarModel.js) out
+ * to the detection range of its reference target, capped by the
+ * instrumented range and flattened at the ceiling altitude. It is built in
+ * scene units (Y exaggerated by altScale like the aircraft) and rebuilt
+ * when the boresight elevation changes, since the elevation limits are
+ * absolute.
+ *
+ * The sensor stands at world X/Z (sensorX, sensorZ), 0 / 0 = the scene
+ * origin; several instances make a sensor network (see useSensors).
+ * Geometry relative to the sensor (beam, Pd, line of sight) uses the
+ * curvature drop over the distance from the sensor; the envelope is drawn
+ * from the sensor's displayed position, so with a curved earth the volume
+ * of a sensor away from the origin is approximate.
  *
  * The component owns:
  *  - scene
- *  - coverageHeight, halfAngleRad
+ *  - radar parameters
  *  - clipping plane(s)
+ *  - the terrain composable (optional, via setTerrain)
  *
  * The composable owns:
- *  - coverageDir (unit vector)
- *  - coverage cone & wire meshes
+ *  - coverageDir (boresight unit vector)
+ *  - the radar model
+ *  - envelope & wire meshes
  *  - orientation math
+ *  - terrain shadow field (line of sight from the sensor over the terrain)
  */
 export function useCoverage(options) {
   const {
     scene,
-    coverageHeight = 300_000,
-    halfAngleRad = MathUtils.degToRad(120 / 2), // 60°
+    // radarModel.js parameters, merged over DEFAULT_RADAR
+    radar: radarParams = {},
     clippingPlane = null, // e.g. groundClipPlane
+    // world X/Z of the sensor (meters), see setSensorPosition()
+    sensorX: initialSensorX = 0,
+    sensorZ: initialSensorZ = 0,
+    color = 0x00ffcc, // envelope + wire
+    // Sensor altitude in meters; null = terrain height at origin + sensorMastMeters
+    sensorAltitudeMeters = null,
+    sensorMastMeters = 10,
+    // geodesy earth model; curved = envelope cut at the curved sea level
+    // instead of clippingPlane, line of sight over the dropped terrain
+    earthModel = FLAT_EARTH,
+    altScale = 1, // scene Y units per meter
   } = options;
 
   if (!scene) {
     throw new Error("useCoverage: scene is required");
   }
 
+  const radar = createRadarModel(radarParams);
+  const { instrumentedRangeMeters, ceilingMeters } = radar.params;
+  // nothing is tracked beyond it: terrain shadow and classification range
+  const coverageHeight = instrumentedRangeMeters;
+  const envelopeRangeMeters = radar.envelopeRange();
+
   const coverageDir = new Vector3(0, 0, -1);
-  const baseDir = new Vector3(0, 0, -1);
+  let sensorX = initialSensorX;
+  let sensorZ = initialSensorZ;
+  // displayed sensor position (scene units), where the envelope starts
+  const apexPosition = new Vector3();
 
-  let coverageCone = null;
+  let coverageMesh = null;
   let coverageWire = null;
+  let shown = true; // setVisible()
+  // last setCoverageOrientation() angles
+  let azimuthDeg = 0;
+  let elevationDeg = 0;
 
-  function createCoverageMeshes() {
-    const coverageRadius = coverageHeight * Math.tan(halfAngleRad);
+  let terrainApi = null;
+  let shadowField = null;
+  let shadowMask = null;
+
+  // Envelope range along elevation `elRad`: envelopeRangeMeters, or less
+  // where the ray reaches the ceiling (true altitude grows with range for
+  // elevations >= 0, the curvature drop included)
+  function rangeAtElevation(elRad) {
+    const altAt = (r) =>
+      r * Math.sin(elRad) + earthModel.dropAt(r * Math.cos(elRad), 0);
+    if (altAt(envelopeRangeMeters) <= ceilingMeters) return envelopeRangeMeters;
 
-    const coverageBaseGeom = new ConeGeometry(
-      coverageRadius,
-      coverageHeight,
-      48,
+    let lo = 0;
+    let hi = envelopeRangeMeters;
+    for (let i = 0; i < 40; i++) {
+      const mid = (lo + hi) / 2;
+      if (altAt(mid) <= ceilingMeters) lo = mid;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  /**
+   * Envelope surfaces for the current elevation span, boresight azimuth
+   * along -Z (the mesh is turned to the azimuth): the far face, the lower
+   * and upper elevation faces and, for a sector, the two azimuth sides.
+   * Returns { positions, wire } flat arrays, or null when the elevation
+   * limits leave nothing.
+   */
+  function buildEnvelope(span) {
+    if (!span) return null;
+
+    const halfAz = Math.min(radar.params.azimuthBeamwidthDeg, 360) / 2;
+    const full = halfAz >= 180;
+    const azSteps = Math.max(2, Math.ceil((2 * halfAz) / ENVELOPE_STEP_DEG));
+    const elSteps = Math.max(
       1,
-      true
+      Math.ceil((span.upperDeg - span.lowerDeg) / ENVELOPE_STEP_DEG)
     );
 
-    // Move apex from +H/2 down to 0
-    coverageBaseGeom.translate(0, -coverageHeight / 2, 0);
-    // Rotate axis from +Y to +X (our baseDir)
-    coverageBaseGeom.rotateX(Math.PI / 2);
+    const azAt = (i) =>
+      MathUtils.degToRad(-halfAz + (2 * halfAz * i) / azSteps);
+    const elAt = (j) =>
+      MathUtils.degToRad(
+        span.lowerDeg + ((span.upperDeg - span.lowerDeg) * j) / elSteps
+      );
+
+    // grid[j][i] = [x, y, z] on the far face
+    const grid = [];
+    for (let j = 0; j <= elSteps; j++) {
+      const el = elAt(j);
+      const r = rangeAtElevation(el);
+      const row = [];
+      for (let i = 0; i <= azSteps; i++) {
+        const az = azAt(i);
+        row.push([
+          r * Math.cos(el) * Math.sin(az),
+          r * Math.sin(el) * altScale,
+          -r * Math.cos(el) * Math.cos(az),
+        ]);
+      }
+      grid.push(row);
+    }
+
+    const apex = [0, 0, 0];
+    const positions = [];
+    const tri = (a, b, c) => positions.push(...a, ...b, ...c);
+
+    for (let j = 0; j < elSteps; j++) {
+      for (let i = 0; i < azSteps; i++) {
+        tri(grid[j][i], grid[j][i + 1], grid[j + 1][i + 1]);
+        tri(grid[j][i], grid[j + 1][i + 1], grid[j + 1][i]);
+      }
+    }
+    for (let i = 0; i < azSteps; i++) {
+      tri(apex, grid[0][i], grid[0][i + 1]);
+      tri(apex, grid[elSteps][i + 1], grid[elSteps][i]);
+    }
+    if (!full) {
+      for (let j = 0; j < elSteps; j++) {
+        tri(apex, grid[j + 1][0], grid[j][0]);
+        tri(apex, grid[j][azSteps], grid[j + 1][azSteps]);
+      }
+    }
+
+    // wire: outline, rays to the corners, and a grid on the far face
+    const wire = [];
+    const seg = (a, b) => wire.push(...a, ...b);
+    const every = Math.max(1, Math.round(WIRE_STEP_DEG / ENVELOPE_STEP_DEG));
+    for (let j = 0; j <= elSteps; j++) {
+      if (j % every && j !== elSteps) continue;
+      for (let i = 0; i < azSteps; i++) seg(grid[j][i], grid[j][i + 1]);
+    }
+    for (let i = 0; i <= azSteps; i++) {
+      const edge = !full && (i === 0 || i === azSteps);
+      if (i % every && !edge) continue;
+      for (let j = 0; j < elSteps; j++) seg(grid[j][i], grid[j + 1][i]);
+      if (edge) {
+        seg(apex, grid[0][i]);
+        seg(apex, grid[elSteps][i]);
+      }
+    }
+
+    return { positions, wire };
+  }
 
+  function createCoverageMeshes() {
     const matOpts = {
-      color: 0x00ffcc,
+      color,
       transparent: true,
       opacity: 0.2,
       depthWrite: false,
       depthTest: true,
       side: DoubleSide,
     };
-    if (clippingPlane) {
+    if (clippingPlane && !earthModel.curved) {
       matOpts.clippingPlanes = [clippingPlane];
     }
 
-    const coverageMat = new MeshBasicMaterial(matOpts);
-    coverageCone = new Mesh(coverageBaseGeom, coverageMat);
-    scene.add(coverageCone);
+    const coverageMat = discardBelowEarth(
+      new MeshBasicMaterial(matOpts),
+      earthModel,
+      altScale
+    );
+    coverageMesh = new Mesh(new BufferGeometry(), coverageMat);
+    scene.add(coverageMesh);
 
-    const wireGeom = new WireframeGeometry(coverageBaseGeom);
     const wireMatOpts = {
-      color: 0x00ffcc,
+      color,
       transparent: true,
       opacity: 0.15,
       depthWrite: false,
     };
-    if (clippingPlane) {
+    if (clippingPlane && !earthModel.curved) {
       wireMatOpts.clippingPlanes = [clippingPlane];
     }
 
-    const wireMat = new LineBasicMaterial(wireMatOpts);
-    coverageWire = new LineSegments(wireGeom, wireMat);
+    const wireMat = discardBelowEarth(
+      new LineBasicMaterial(wireMatOpts),
+      earthModel,
+      altScale
+    );
+    coverageWire = new LineSegments(new BufferGeometry(), wireMat);
     scene.add(coverageWire);
   }
 
+  // Rebuild the envelope geometry for the current elevation
+  function updateEnvelope() {
+    const envelope = buildEnvelope(radar.elevationSpan(elevationDeg));
+
+    coverageMesh.geometry.dispose();
+    coverageWire.geometry.dispose();
+    coverageMesh.geometry = new BufferGeometry();
+    coverageWire.geometry = new BufferGeometry();
+    coverageMesh.visible = shown && !!envelope;
+    coverageWire.visible = shown && !!envelope;
+    if (!envelope) return;
+
+    coverageMesh.geometry.setAttribute(
+      "position",
+      new Float32BufferAttribute(envelope.positions, 3)
+    );
+    coverageWire.geometry.setAttribute(
+      "position",
+      new Float32BufferAttribute(envelope.wire, 3)
+    );
+  }
+
   function setCoverageOrientation(azDeg, elDeg) {
-    if (!coverageCone) return;
+    if (!coverageMesh) return;
+    const rebuild =
+      elDeg !== elevationDeg || !coverageMesh.geometry.attributes.position;
+    azimuthDeg = azDeg;
+    elevationDeg = elDeg;
 
     const az = MathUtils.degToRad(azDeg);
     const el = MathUtils.degToRad(elDeg);
@@ -105,24 +283,221 @@ export function useCoverage(options) {
       )
       .normalize();
 
-    const quat = new Quaternion().setFromUnitVectors(baseDir, coverageDir);
-    coverageCone.quaternion.copy(quat);
-    if (coverageWire) coverageWire.quaternion.copy(quat);
+    if (rebuild) updateEnvelope();
+    // the envelope is built around -Z: turn it clockwise to the azimuth
+    coverageMesh.rotation.y = -az;
+    coverageWire.rotation.y = -az;
+  }
+
+  // Envelope apex on the sensor as displayed (altitude exaggerated, lowered
+  // by the curvature drop from the scene origin like everything else)
+  function updatePlacement() {
+    apexPosition.set(
+      sensorX,
+      (getSensorAltitude() - earthModel.dropAt(sensorX, sensorZ)) * altScale,
+      sensorZ
+    );
+    coverageMesh?.position.copy(apexPosition);
+    coverageWire?.position.copy(apexPosition);
+  }
+
+  /**
+   * Move the sensor to world X/Z (meters). The terrain shadow is stale
+   * after a move: call updateTerrainShadow().
+   */
+  function setSensorPosition(x, z) {
+    if (x === sensorX && z === sensorZ) return;
+    sensorX = x;
+    sensorZ = z;
+    shadowField = null;
+    shadowMask = null;
+    updatePlacement();
+  }
+
+  function getSensorPosition() {
+    return { x: sensorX, z: sensorZ };
+  }
+
+  function setVisible(visible) {
+    shown = !!visible;
+    if (!coverageMesh) return;
+    const hasEnvelope = !!coverageMesh.geometry.attributes.position;
+    coverageMesh.visible = shown && hasEnvelope;
+    coverageWire.visible = shown && hasEnvelope;
   }
 
   function initCoverage(initialAzDeg = 0, initialElDeg = 0) {
     createCoverageMeshes();
     setCoverageOrientation(initialAzDeg, initialElDeg);
+    updatePlacement();
+  }
+
+  function getOrientation() {
+    return { azimuthDeg, elevationDeg };
+  }
+
+  // The envelope for the current orientation, see radar.envelopeFor()
+  function getEnvelope() {
+    return radar.envelopeFor(azimuthDeg, elevationDeg);
+  }
+
+  /**
+   * Where the envelope cuts the vertical plane at `bearingDeg` (same
+   * azimuth convention): { lowerDeg, upperDeg } elevation angles of its
+   * edges, or null when that bearing is outside the azimuth sector.
+   */
+  function elevationEdgesAt(bearingDeg) {
+    if (!radar.azimuthInside(bearingDeg - azimuthDeg)) return null;
+    return radar.elevationSpan(elevationDeg);
+  }
+
+  /**
+   * A point at world X/Z and true altitude as the sensor sees it:
+   * { dx, dy, dz, range } meters from the sensor, dy in the sensor's
+   * effective-earth frame (curvature drop over the distance taken off).
+   */
+  function relativePosition(x, z, altMeters) {
+    const dx = x - sensorX;
+    const dz = z - sensorZ;
+    const dy = altMeters - earthModel.dropAt(dx, dz) - getSensorAltitude();
+    return { dx, dy, dz, range: Math.hypot(dx, dy, dz) };
+  }
+
+  /**
+   * Whether a point at `dx`, `dy`, `dz` from the sensor (see
+   * relativePosition) is inside the beam: the azimuth sector and elevation
+   * span, within the instrumented range and below the ceiling
+   * (`altMeters`, true altitude).
+   */
+  function inBeam(x, dy, z, altMeters) {
+    const ground = Math.hypot(x, z);
+    if (Math.hypot(ground, dy) > instrumentedRangeMeters) return false;
+    if (altMeters > ceilingMeters) return false;
+
+    const span = radar.elevationSpan(elevationDeg);
+    if (!span) return false;
+    const el = MathUtils.radToDeg(Math.atan2(dy, ground));
+    if (el < span.lowerDeg || el > span.upperDeg) return false;
+
+    const az = MathUtils.radToDeg(Math.atan2(x, -z));
+    return radar.azimuthInside(az - azimuthDeg);
+  }
+
+  /**
+   * How the sensor sees a `rcs` m² target at world X/Z and true altitude:
+   *   { range, inBeam, masked, pd }
+   * `masked` = in the beam but behind terrain; pd is 0 unless the target is
+   * in the beam and in sight.
+   */
+  function assess(x, z, altMeters, rcs) {
+    const { dx, dy, dz, range } = relativePosition(x, z, altMeters);
+    const out = { range, inBeam: false, masked: false, pd: 0 };
+    if (range < 1) {
+      out.inBeam = true;
+      out.pd = 1;
+      return out;
+    }
+    if (!inBeam(dx, dy, dz, altMeters)) return out;
+    out.inBeam = true;
+
+    const minAlt = minVisibleAltitudeAt(x, z);
+    if (minAlt != null && altMeters < minAlt) {
+      out.masked = true;
+      return out;
+    }
+    out.pd = radar.pdAt(range, rcs);
+    return out;
+  }
+
+  // -------------------------------------------------------------------
+  // Terrain occlusion
+  // -------------------------------------------------------------------
+
+  /**
+   * Attach the useTerrain instance whose height field blocks the sensor.
+   * Pass null to detach.
+   */
+  function setTerrain(api) {
+    if (terrainApi && terrainApi !== api) terrainApi.clearShadowMask();
+    terrainApi = api;
+    shadowField = null;
+    shadowMask = null;
+  }
+
+  function getSensorAltitude() {
+    if (sensorAltitudeMeters != null) return sensorAltitudeMeters;
+
+    // the mast stands on the ground as displayed, interpolated like the
+    // mesh: the terrain's `surface` grid (max-pooled when surface is "max")
+    const field = terrainApi?.getHeightField({ conservative: false });
+    const ground = field ? sampleHeightBilinear(field, sensorX, sensorZ) : null;
+    return (ground ?? 0) + sensorMastMeters;
+  }
+
+  /**
+   * Recompute the line-of-sight shadow from the sensor and tint the terrain
+   * vertices the sensor cannot see (unless `applyMask` is false, e.g. when
+   * several sensors' masks are merged, see getShadowMask()). Call after
+   * terrain heights or placement change. Occlusion uses the max-preserving
+   * heights; the tint is decided per displayed vertex. Returns the shadow
+   * field, or null when no terrain is loaded.
+   */
+  function updateTerrainShadow({
+    azimuthBins = 720,
+    toleranceMeters = 5,
+    applyMask = true,
+  } = {}) {
+    updatePlacement();
+    const field = terrainApi?.getHeightField();
+    if (!field) {
+      shadowField = null;
+      shadowMask = null;
+      return null;
+    }
+
+    shadowField = computeShadowField(field, {
+      sensorX,
+      sensorZ,
+      sensorAltMeters: getSensorAltitude(),
+      maxRangeMeters: coverageHeight,
+      azimuthBins,
+      earth: earthModel,
+    });
+
+    shadowMask = computeVertexShadowMask(
+      shadowField,
+      terrainApi.getHeightField({ conservative: false }),
+      { toleranceMeters }
+    );
+    if (applyMask) terrainApi.setShadowMask(shadowMask);
+
+    return shadowField;
+  }
+
+  /**
+   * Lowest altitude (meters) the sensor can see above world X/Z.
+   * -Infinity = unobstructed, null = no shadow field or beyond range.
+   */
+  function minVisibleAltitudeAt(x, z) {
+    if (!shadowField) return null;
+    return shadowMinVisibleAltitudeAt(shadowField, x, z);
   }
 
   function disposeCoverage() {
     if (!scene) return;
 
-    if (coverageCone) {
-      scene.remove(coverageCone);
-      coverageCone.geometry.dispose();
-      coverageCone.material.dispose();
-      coverageCone = null;
+    if (terrainApi) {
+      terrainApi.clearShadowMask();
+      terrainApi = null;
+    }
+    shadowField = null;
+    shadowMask = null;
+
+    if (coverageMesh) {
+      scene.remove(coverageMesh);
+      coverageMesh.geometry.dispose();
+      coverageMesh.material.dispose();
+      coverageMesh = null;
     }
     if (coverageWire) {
       scene.remove(coverageWire);
@@ -134,10 +509,31 @@ export function useCoverage(options) {
 
   return {
     coverageDir,
+    coverageHeight,
+    radar,
+    earthModel,
     initCoverage,
     setCoverageOrientation,
+    getOrientation,
+    getEnvelope,
+    elevationEdgesAt,
+    setSensorPosition,
+    getSensorPosition,
+    setVisible,
+    relativePosition,
+    inBeam,
+    assess,
     disposeCoverage,
-    getCoverageCone: () => coverageCone,
+    setTerrain,
+    updateTerrainShadow,
+    minVisibleAltitudeAt,
+    getSensorAltitude,
+    getShadowField: () => shadowField,
+    // per-vertex mask of the last updateTerrainShadow(), null without one
+    getShadowMask: () => shadowMask,
+    // displayed sensor position (live vector, don't modify)
+    getApexPosition: () => apexPosition,
+    getCoverageMesh: () => coverageMesh,
     getCoverageWire: () => coverageWire,
   };
 }
@@ -0,0 +1,188 @@
+// src/composables/useCoverageMap.js
+import {
+  Color,
+  DataTexture,
+  DoubleSide,
+  Mesh,
+  MeshBasicMaterial,
+  NearestFilter,
+  PlaneGeometry,
+  RGBAFormat,
+} from "three";
+import { FLAT_EARTH } from "@/utils/geodesy.js";
+import { SENSOR_COUNT_COLORS, sensorCountColor } from "@/utils/sensors.js";
+
+// Vertices per side of the slice mesh, enough to follow the curvature drop
+const SLICE_SEGMENTS = 64;
+
+/**
+ * Merged coverage of a sensor network at one altitude: a horizontal slice
+ * colored where any sensor detects its reference target ("any" mode) or
+ * by how many sensors do ("count" mode, SENSOR_COUNT_COLORS).
+ *
+ * Every cell center is assessed by every sensor (useCoverage.assess: beam,
+ * terrain line of sight, Pd >= threshold for the radar's referenceRcs), so
+ * the slice shows terrain masking as well as the envelopes. The slice is a
+ * square around all the sensors' instrumented ranges.
+ *
+ * The component owns:
+ *  - scene, the useSensors instance
+ *
+ * The composable owns:
+ *  - the slice mesh and its texture
+ */
+export function useCoverageMap({
+  scene,
+  sensorsApi,
+  earthModel = FLAT_EARTH,
+  altScale = 1,
+  cells = 160, // per side
+  opacity = 0.45,
+}) {
+  if (!scene || !sensorsApi) {
+    throw new Error("useCoverageMap: scene and sensorsApi are required");
+  }
+
+  const data = new Uint8Array(cells * cells * 4);
+  const texture = new DataTexture(data, cells, cells, RGBAFormat);
+  texture.magFilter = NearestFilter;
+  texture.minFilter = NearestFilter;
+
+  const material = new MeshBasicMaterial({
+    map: texture,
+    transparent: true,
+    opacity,
+    depthWrite: false,
+    side: DoubleSide,
+  });
+  let mesh = null;
+  const scratchColor = new Color();
+
+  // Square (world meters) around every sensor's instrumented range
+  function sliceExtent(sensors) {
+    let minX = Infinity;
+    let maxX = -Infinity;
+    let minZ = Infinity;
+    let maxZ = -Infinity;
+    for (const { coverage } of sensors) {
+      const { x, z } = coverage.getSensorPosition();
+      const r = coverage.coverageHeight;
+      minX = Math.min(minX, x - r);
+      maxX = Math.max(maxX, x + r);
+      minZ = Math.min(minZ, z - r);
+      maxZ = Math.max(maxZ, z + r);
+    }
+    return {
+      centerX: (minX + maxX) / 2,
+      centerZ: (minZ + maxZ) / 2,
+      sizeMeters: Math.max(maxX - minX, maxZ - minZ),
+    };
+  }
+
+  // Slice mesh over `extent`, every vertex at the altitude as displayed
+  function placeMesh(extent, altitudeMeters) {
+    const geometry = new PlaneGeometry(
+      extent.sizeMeters,
+      extent.sizeMeters,
+      SLICE_SEGMENTS,
+      SLICE_SEGMENTS
+    );
+    // into X/Z, texture top (v = 1) to the north (-Z)
+    geometry.rotateX(-Math.PI / 2);
+
+    const pos = geometry.attributes.position;
+    for (let i = 0; i < pos.count; i++) {
+      const x = extent.centerX + pos.getX(i);
+      const z = extent.centerZ + pos.getZ(i);
+      pos.setY(i, (altitudeMeters - earthModel.dropAt(x, z)) * altScale);
+    }
+    geometry.computeBoundingSphere();
+
+    if (!mesh) {
+      mesh = new Mesh(geometry, material);
+      mesh.renderOrder = 1;
+      scene.add(mesh);
+    } else {
+      mesh.geometry.dispose();
+      mesh.geometry = geometry;
+    }
+    mesh.position.set(extent.centerX, 0, extent.centerZ);
+  }
+
+  /**
+   * Recompute the slice at `altitudeMeters` (true altitude above sea
+   * level) and show it in `mode` ("any" / "count"; null hides it). Call
+   * after the sensors, the terrain shadow or the altitude change.
+   *
+   * Returns the covered area in km² at that altitude,
+   *   { any, byCount: [exactly 1, exactly 2, ..., n or more] }
+   * with one byCount entry per SENSOR_COUNT_COLORS, or null when hidden.
+   */
+  function updateCoverageMap({ altitudeMeters, mode }) {
+    const sensors = sensorsApi.sensors();
+    if (!mode || !sensors.length) {
+      if (mesh) mesh.visible = false;
+      return null;
+    }
+
+    const extent = sliceExtent(sensors);
+    const step = extent.sizeMeters / cells;
+    const cellKm2 = (step / 1000) ** 2;
+    const half = extent.sizeMeters / 2;
+    const summary = { any: 0, byCount: SENSOR_COUNT_COLORS.map(() => 0) };
+
+    for (let row = 0; row < cells; row++) {
+      // texture row 0 is the south edge (+Z)
+      const z = extent.centerZ + half - (row + 0.5) * step;
+      for (let col = 0; col < cells; col++) {
+        const x = extent.centerX - half + (col + 0.5) * step;
+
+        let count = 0;
+        for (const { coverage } of sensors) {
+          const { radar } = coverage;
+          const seen = coverage.assess(
+            x,
+            z,
+            altitudeMeters,
+            radar.params.referenceRcs
+          );
+          if (seen.pd >= radar.params.pdThreshold) count++;
+        }
+
+        const i = (row * cells + col) * 4;
+        if (!count) {
+          data[i + 3] = 0;
+          continue;
+        }
+        summary.any += cellKm2;
+        summary.byCount[Math.min(count, summary.byCount.length) - 1] += cellKm2;
+
+        scratchColor.set(sensorCountColor(mode === "count" ? count : 1));
+        data[i] = Math.round(scratchColor.r * 255);
+        data[i + 1] = Math.round(scratchColor.g * 255);
+        data[i + 2] = Math.round(scratchColor.b * 255);
+        data[i + 3] = 255;
+      }
+    }
+    texture.needsUpdate = true;
+
+    placeMesh(extent, altitudeMeters);
+    mesh.visible = true;
+    return summary;
+  }
+
+  function disposeCoverageMap() {
+    if (mesh) {
+      scene.remove(mesh);
+      mesh.geometry.dispose();
+      mesh = null;
+    }
+    material.dispose();
+    texture.dispose();
+  }
+
+  return {
+    updateCoverageMap,
+    disposeCoverageMap,
+  };
+}
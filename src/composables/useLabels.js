@@ -1,5 +1,23 @@
 // src/composables/useLabels.js
 import { CanvasTexture, LinearFilter, SpriteMaterial, Sprite } from "three";
+
+const BASE_SCREEN_FACTOR = 0.05; // how big labels look vs distance
+const MIN_BASE_HEIGHT = 4000;
+const MAX_BASE_HEIGHT = 40000;
+
+/**
+ * World size of something `distance` from the camera that should keep
+ * about the same size on screen, clamped so it doesn't vanish up close or
+ * grow huge far away. Labels use it for their height, planes for models.
+ */
+export function screenScaledSize(distance, sizeMultiplier = 1) {
+  const size = distance * BASE_SCREEN_FACTOR * sizeMultiplier;
+  return Math.min(
+    Math.max(size, MIN_BASE_HEIGHT * sizeMultiplier),
+    MAX_BASE_HEIGHT * sizeMultiplier
+  );
+}
+
 /**
  * Central labels manager:
  *  - creates text sprites
@@ -14,16 +32,14 @@ export function useLabels() {
     labelSprites.push(sprite);
   }
 
-  /**
-   * Create a text sprite (rounded box + text).
-   * Registering (for scaling) is *not* automatic – caller decides.
-   */
-  function createTextSprite(text, { fontSize = 48, padding = 8 } = {}) {
-    const canvas = document.createElement("canvas");
-    const ctx = canvas.getContext("2d");
+  function unregisterLabelSprite(sprite) {
+    const i = labelSprites.indexOf(sprite);
+    if (i !== -1) labelSprites.splice(i, 1);
+  }
 
-    canvas.width = 512;
-    canvas.height = 256;
+  // Draw the rounded box + text centered on the canvas, returns box size
+  function drawLabel(canvas, text, fontSize, padding) {
+    const ctx = canvas.getContext("2d");
 
     ctx.clearRect(0, 0, canvas.width, canvas.height);
     ctx.font = `bold ${fontSize}px system-ui`;
@@ -55,6 +71,31 @@ export function useLabels() {
     ctx.textBaseline = "middle";
     ctx.fillText(text, canvas.width / 2, canvas.height / 2 + 3);
 
+    return { boxWidth, boxHeight };
+  }
+
+  // Sprite scale for a box on the canvas; the real size is set per frame
+  // by updateLabelSpriteScales, only the aspect matters there
+  function setSpriteBox(sprite, canvas, boxWidth, boxHeight) {
+    const baseScale = 1;
+    const baseWidth = baseScale * (boxWidth / canvas.width);
+    const baseHeight = baseScale * (boxHeight / canvas.height);
+
+    sprite.scale.set(baseWidth, baseHeight, 1);
+    sprite.userData.aspect = baseWidth / baseHeight || 1;
+  }
+
+  /**
+   * Create a text sprite (rounded box + text).
+   * Registering (for scaling) is *not* automatic – caller decides.
+   */
+  function createTextSprite(text, { fontSize = 48, padding = 8 } = {}) {
+    const canvas = document.createElement("canvas");
+    canvas.width = 512;
+    canvas.height = 256;
+
+    const { boxWidth, boxHeight } = drawLabel(canvas, text, fontSize, padding);
+
     const texture = new CanvasTexture(canvas);
     texture.minFilter = LinearFilter;
     texture.magFilter = LinearFilter;
@@ -68,15 +109,33 @@ export function useLabels() {
     });
 
     const sprite = new Sprite(material);
+    setSpriteBox(sprite, canvas, boxWidth, boxHeight);
+    sprite.userData.labelText = text;
 
-    const baseScale = 1;
-    const baseWidth = baseScale * (boxWidth / canvas.width);
-    const baseHeight = baseScale * (boxHeight / canvas.height);
+    return sprite;
+  }
 
-    sprite.scale.set(baseWidth, baseHeight, 1);
-    sprite.userData.aspect = baseWidth / baseHeight || 1;
+  /**
+   * Redraw a sprite from createTextSprite with new text, reusing its canvas
+   * and texture. No-op when the text is unchanged.
+   */
+  function updateTextSprite(sprite, text, { fontSize = 48, padding = 8 } = {}) {
+    if (sprite.userData.labelText === text) return;
 
-    return sprite;
+    const texture = sprite.material.map;
+    const canvas = texture.image;
+    const { boxWidth, boxHeight } = drawLabel(canvas, text, fontSize, padding);
+    texture.needsUpdate = true;
+
+    setSpriteBox(sprite, canvas, boxWidth, boxHeight);
+    sprite.userData.labelText = text;
+  }
+
+  // Unregister and free one sprite (the caller removes it from the scene)
+  function disposeTextSprite(sprite) {
+    unregisterLabelSprite(sprite);
+    sprite.material?.map?.dispose?.();
+    sprite.material?.dispose?.();
   }
 
   /**
@@ -85,23 +144,12 @@ export function useLabels() {
   function updateLabelSpriteScales(camera) {
     if (!camera) return;
 
-    const baseScreenFactor = 0.05; // how big labels look vs distance
-    const minBaseHeight = 4000;
-    const maxBaseHeight = 40000;
-
     for (const sprite of labelSprites) {
       if (!sprite) continue;
 
       const dist = camera.position.distanceTo(sprite.position);
       const mult = sprite.userData.labelSizeMultiplier ?? 1;
-
-      let worldHeight = dist * baseScreenFactor * mult;
-
-      const minHeight = minBaseHeight * mult;
-      const maxHeight = maxBaseHeight * mult;
-
-      if (worldHeight < minHeight) worldHeight = minHeight;
-      if (worldHeight > maxHeight) worldHeight = maxHeight;
+      const worldHeight = screenScaledSize(dist, mult);
 
       const aspect = sprite.userData.aspect || 2;
       const worldWidth = worldHeight * aspect;
@@ -123,7 +171,10 @@ export function useLabels() {
 
   return {
     createTextSprite,
+    updateTextSprite,
+    disposeTextSprite,
     registerLabelSprite,
+    unregisterLabelSprite,
     updateLabelSpriteScales,
     disposeLabels,
   };
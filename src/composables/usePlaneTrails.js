@@ -0,0 +1,254 @@
+// src/composables/usePlaneTrails.js
+import * as THREE from "three";
+import { createTrackHistory } from "@/utils/trackHistory.js";
+
+// Per history point: lat, lng, alt (meters), east, north (local meters)
+const LAT = 0;
+const LNG = 1;
+const ALT = 2;
+const EAST = 3;
+const NORTH = 4;
+
+/**
+ * Fading breadcrumb trails behind the planes, with optional drop-lines from
+ * trail points down to sea level.
+ *
+ * Every trail lives in one LineSegments buffer (one draw call), laid out as
+ *   [head segments: last fix -> current plane, 2 vertices per track]
+ *   [trail segments + drop-lines of every track]
+ * The buffer is only re-filled when the history changes (a new fix, a
+ * point aging out); per frame only the head segments' end vertices are
+ * rewritten and uploaded. It grows by doubling, so steady state allocates
+ * nothing.
+ *
+ * `toScene(east, north, altMeters, outVector3)` maps local meters to scene
+ * coordinates (the caller's altitude scale and earth curvature).
+ */
+export function usePlaneTrails({
+  scene,
+  toScene,
+  maxPoints = 120, // per track
+  maxAgeSeconds = 300, // null = limit by points only
+  dropLines = false,
+  dropLineEvery = 5, // a drop-line on every n-th trail point
+  opacity = 0.85,
+}) {
+  const history = createTrackHistory({
+    maxPoints,
+    maxAgeSeconds,
+    valuesPerPoint: 5,
+  });
+
+  const material = new THREE.LineBasicMaterial({
+    vertexColors: true,
+    transparent: true,
+    depthWrite: false,
+  });
+
+  let geometry = null;
+  let positions = null; // Float32Array, xyz per vertex
+  let colors = null; // Float32Array, rgba per vertex
+  let capacity = 0; // vertices
+  const lines = new THREE.LineSegments(new THREE.BufferGeometry(), material);
+  lines.frustumCulled = false; // the bounding sphere isn't kept up to date
+  lines.renderOrder = 1;
+  scene.add(lines);
+
+  let headIds = []; // track id per head segment, in buffer order
+  let dirty = false;
+  let showDropLines = dropLines;
+
+  const point = new Array(5);
+  const v = new THREE.Vector3();
+  const color = new THREE.Color();
+
+  function ensureCapacity(vertices) {
+    if (vertices <= capacity) return;
+    capacity = Math.max(1024, capacity);
+    while (capacity < vertices) capacity *= 2;
+
+    positions = new Float32Array(capacity * 3);
+    colors = new Float32Array(capacity * 4);
+    geometry?.dispose();
+    geometry = new THREE.BufferGeometry();
+    geometry.setAttribute(
+      "position",
+      new THREE.BufferAttribute(positions, 3).setUsage(THREE.DynamicDrawUsage)
+    );
+    geometry.setAttribute(
+      "color",
+      new THREE.BufferAttribute(colors, 4).setUsage(THREE.DynamicDrawUsage)
+    );
+    lines.geometry.dispose();
+    lines.geometry = geometry;
+  }
+
+  function writeVertex(i, pos, r, g, b, a) {
+    positions[i * 3] = pos.x;
+    positions[i * 3 + 1] = pos.y;
+    positions[i * 3 + 2] = pos.z;
+    colors[i * 4] = r;
+    colors[i * 4 + 1] = g;
+    colors[i * 4 + 2] = b;
+    colors[i * 4 + 3] = a;
+  }
+
+  function pointToScene(id, i, out) {
+    history.readPoint(id, i, point);
+    return toScene(point[EAST], point[NORTH], point[ALT], out);
+  }
+
+  // Re-fill the whole buffer from the history
+  function rebuild(colorOf) {
+    headIds = [...history.ids()];
+
+    let vertices = headIds.length * 2;
+    for (const id of headIds) {
+      const n = history.count(id);
+      vertices += (n - 1) * 2;
+      if (showDropLines) vertices += Math.ceil(n / dropLineEvery) * 2;
+    }
+    ensureCapacity(vertices);
+
+    let w = headIds.length * 2;
+    headIds.forEach((id, h) => {
+      const n = history.count(id);
+      color.setHex(colorOf(id));
+      const { r, g, b } = color;
+
+      // head: starts at the newest fix, end is set per frame
+      pointToScene(id, n - 1, v);
+      writeVertex(h * 2, v, r, g, b, opacity);
+      writeVertex(h * 2 + 1, v, r, g, b, opacity);
+
+      // trail: alpha fades from the newest point to 0 at the oldest
+      const fade = (i) => (n > 1 ? (i / (n - 1)) * opacity : opacity);
+      for (let i = 1; i < n; i++) {
+        writeVertex(w++, pointToScene(id, i - 1, v), r, g, b, fade(i - 1));
+        writeVertex(w++, pointToScene(id, i, v), r, g, b, fade(i));
+      }
+
+      if (showDropLines) {
+        for (let i = n - 1; i >= 0; i -= dropLineEvery) {
+          const a = fade(i) * 0.4;
+          pointToScene(id, i, v);
+          writeVertex(w++, v, r, g, b, a);
+          history.readPoint(id, i, point);
+          toScene(point[EAST], point[NORTH], 0, v);
+          writeVertex(w++, v, r, g, b, a);
+        }
+      }
+    });
+
+    geometry.setDrawRange(0, w);
+    geometry.attributes.position.clearUpdateRanges();
+    geometry.attributes.position.needsUpdate = true;
+    geometry.attributes.color.needsUpdate = true;
+    dirty = false;
+  }
+
+  // -------------------------------------------------------------------
+  // Public
+  // -------------------------------------------------------------------
+
+  /**
+   * Add a fix `{ lat, lng, alt, east, north, time }` to a track's trail.
+   */
+  function record(id, fix) {
+    point[LAT] = fix.lat;
+    point[LNG] = fix.lng;
+    point[ALT] = fix.alt;
+    point[EAST] = fix.east;
+    point[NORTH] = fix.north;
+    if (history.push(id, fix.time, point)) dirty = true;
+  }
+
+  function removeTrail(id) {
+    if (history.remove(id)) dirty = true;
+  }
+
+  function clearTrails() {
+    history.clear();
+    dirty = true;
+  }
+
+  /**
+   * Re-project stored points for a new scene origin:
+   * project(lat, lng) -> { east, north }.
+   */
+  function reproject(project) {
+    history.remapValues((p) => {
+      const { east, north } = project(p[LAT], p[LNG]);
+      p[EAST] = east;
+      p[NORTH] = north;
+    });
+    dirty = true;
+  }
+
+  /**
+   * Per frame: age out old points, re-fill the buffer when the history
+   * changed, and move each head segment's end to its plane.
+   *   headOf(id)  -> current scene position (Vector3) or null
+   *   colorOf(id) -> trail color (hex)
+   */
+  function update(now, { headOf, colorOf }) {
+    if (history.prune(now)) dirty = true;
+    const rebuilt = dirty;
+    if (dirty) rebuild(colorOf);
+    if (!geometry || !headIds.length) return;
+
+    for (let h = 0; h < headIds.length; h++) {
+      const head = headOf(headIds[h]);
+      if (!head) continue;
+      const o = (h * 2 + 1) * 3;
+      positions[o] = head.x;
+      positions[o + 1] = head.y;
+      positions[o + 2] = head.z;
+    }
+    // after a rebuild the whole buffer is uploaded anyway
+    const attr = geometry.attributes.position;
+    if (!rebuilt) attr.addUpdateRange(0, headIds.length * 6);
+    attr.needsUpdate = true;
+  }
+
+  /**
+   * A track's trail, oldest first: [{ time, lat, lng, alt }], empty when
+   * it has none.
+   */
+  function trailPoints(id) {
+    const n = history.count(id);
+    const out = [];
+    for (let i = 0; i < n; i++) {
+      const time = history.readPoint(id, i, point);
+      out.push({ time, lat: point[LAT], lng: point[LNG], alt: point[ALT] });
+    }
+    return out;
+  }
+
+  function setTrailOptions({ visible, dropLines: drop } = {}) {
+    if (visible != null) lines.visible = visible;
+    if (drop != null && drop !== showDropLines) {
+      showDropLines = drop;
+      dirty = true;
+    }
+  }
+
+  function disposeTrails() {
+    scene.remove(lines);
+    lines.geometry.dispose();
+    material.dispose();
+    history.clear();
+    headIds = [];
+  }
+
+  return {
+    record,
+    removeTrail,
+    clearTrails,
+    reproject,
+    update,
+    trailPoints,
+    setTrailOptions,
+    disposeTrails,
+  };
+}
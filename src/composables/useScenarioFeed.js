@@ -0,0 +1,116 @@
+// src/composables/useScenarioFeed.js
+import { shallowRef } from "vue";
+import { fetchScenario } from "@/utils/scenario.js";
+import { createScenarioSimulator } from "@/utils/scenarioSimulator.js";
+
+/**
+ * Runs a scenario file (see utils/scenario.js) in real time and pushes the
+ * simulated aircraft into a track source, in place of a live feed.
+ *
+ * The simulator steps at the scenario's fixed timestep; a timer catches up
+ * on however many steps are due by the wall clock (at most
+ * `maxStepsPerTick`, after that the scenario runs slow rather than
+ * freezing the page), so positions depend only on elapsed scenario time.
+ *
+ * Exposes:
+ *  - scenario: shallowRef(parsed scenario | null)
+ *  - time: shallowRef(scenario seconds)
+ *  - load(url): fetch + parse, resolves to the scenario (throws on errors)
+ *  - start(), stop(), restart()
+ *
+ * Parent responsibilities:
+ *  - apply scenario.origin / scenario.sensor to the views
+ *  - call disposeScenarioFeed() on unmount
+ */
+export function useScenarioFeed({ trackSource, maxStepsPerTick = 50 }) {
+  if (!trackSource) {
+    throw new Error("useScenarioFeed: trackSource is required");
+  }
+
+  const scenario = shallowRef(null);
+  const time = shallowRef(0);
+
+  let simulator = null;
+  let timer = null;
+  let startedAt = 0; // wall ms when step 0 was due
+  let stepsRun = 0;
+
+  async function load(url) {
+    stop();
+    const parsed = await fetchScenario(url);
+    scenario.value = parsed;
+    simulator = createScenarioSimulator(parsed);
+    stepsRun = 0;
+    time.value = 0;
+    return parsed;
+  }
+
+  function tick() {
+    const dtMs = simulator.timestepSeconds * 1000;
+    const due = Math.floor((Date.now() - startedAt) / dtMs) - stepsRun;
+    if (due <= 0) return;
+    const steps = Math.min(due, maxStepsPerTick);
+    // fell behind (e.g. a background tab): drop the backlog
+    if (due > steps) startedAt += (due - steps) * dtMs;
+
+    const removed = new Set();
+    let result = null;
+    for (let i = 0; i < steps && !result?.finished; i++) {
+      result = simulator.step();
+      for (const id of result.removed) removed.add(id);
+    }
+    stepsRun += steps;
+
+    // removed first: an aircraft respawned by `repeat` starts a new track
+    if (removed.size) trackSource.removeTracks([...removed]);
+    if (result.reports.length) trackSource.upsertReports(result.reports);
+    time.value = result.time;
+
+    if (result.finished) stop();
+  }
+
+  function start() {
+    if (!simulator) {
+      throw new Error("useScenarioFeed: no scenario loaded");
+    }
+    if (timer) return;
+    startedAt = Date.now() - stepsRun * simulator.timestepSeconds * 1000;
+    tick();
+    timer = setInterval(tick, simulator.timestepSeconds * 1000);
+  }
+
+  function stop() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  // Back to scenario time 0, dropping the simulated tracks
+  function restart() {
+    if (!simulator) return;
+    const running = !!timer;
+    stop();
+    trackSource.clearTracks();
+    simulator.reset();
+    stepsRun = 0;
+    time.value = 0;
+    if (running) start();
+  }
+
+  function disposeScenarioFeed() {
+    stop();
+    simulator = null;
+    scenario.value = null;
+  }
+
+  return {
+    scenario,
+    time,
+    load,
+    start,
+    stop,
+    restart,
+    disposeScenarioFeed,
+  };
+}
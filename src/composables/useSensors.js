@@ -0,0 +1,204 @@
+// src/composables/useSensors.js
+import { Mesh, MeshBasicMaterial, SphereGeometry } from "three";
+import { useCoverage } from "@/composables/useCoverage.js";
+import { FLAT_EARTH, geodeticToLocalENU } from "@/utils/geodesy.js";
+
+/**
+ * A network of sensors (see utils/sensors.js): one useCoverage instance and
+ * a marker per site, placed relative to the scene origin.
+ *
+ * The terrain tint is merged: ground is shaded only where no sensor has
+ * line of sight to it.
+ *
+ * The component owns:
+ *  - scene, the sensor list and the scene origin
+ *  - the terrain composable (optional, via setTerrain)
+ *
+ * The composable owns:
+ *  - the coverage instances (recreated when a sensor's radar, altitude or
+ *    color changes) and their markers
+ *  - the merged terrain shadow mask
+ */
+export function useSensors({
+  scene,
+  clippingPlane = null,
+  earthModel = FLAT_EARTH,
+  altScale = 1,
+  markerRadius = 1200,
+}) {
+  if (!scene) {
+    throw new Error("useSensors: scene is required");
+  }
+
+  const entries = new Map(); // id -> { sensor, key, coverage, marker }
+  let list = []; // entries in sensor list order
+  let terrainApi = null;
+  let envelopesVisible = true;
+
+  const markerGeometry = new SphereGeometry(markerRadius, 16, 16);
+
+  // What a coverage instance is built from: a change means a new one
+  function sensorKey(sensor) {
+    return JSON.stringify([sensor.radar ?? {}, sensor.alt, sensor.color]);
+  }
+
+  function createEntry(sensor) {
+    const coverage = useCoverage({
+      scene,
+      radar: sensor.radar ?? {},
+      clippingPlane,
+      sensorAltitudeMeters: sensor.alt,
+      color: sensor.color,
+      earthModel,
+      altScale,
+    });
+    coverage.initCoverage(sensor.azimuthDeg, sensor.elevationDeg);
+    coverage.setVisible(envelopesVisible);
+    if (terrainApi) coverage.setTerrain(terrainApi);
+
+    const marker = new Mesh(
+      markerGeometry,
+      new MeshBasicMaterial({ color: sensor.color })
+    );
+    marker.userData.sensorId = sensor.id;
+    scene.add(marker);
+
+    return { sensor, key: sensorKey(sensor), coverage, marker };
+  }
+
+  function disposeEntry(entry) {
+    entry.coverage.disposeCoverage();
+    scene.remove(entry.marker);
+    entry.marker.material.dispose();
+  }
+
+  /**
+   * Take the sensor list (normalized, see utils/sensors.js) and the scene
+   * origin. Returns true when a sensor was added, removed or moved: the
+   * terrain shadow is stale then, call updateTerrainShadow().
+   */
+  function syncSensors(sensors, origin) {
+    let moved = false;
+    const seen = new Set();
+
+    for (const sensor of sensors) {
+      seen.add(sensor.id);
+      let entry = entries.get(sensor.id);
+      if (entry && entry.key !== sensorKey(sensor)) {
+        disposeEntry(entry);
+        entry = null;
+      }
+      if (!entry) {
+        entry = createEntry(sensor);
+        entries.set(sensor.id, entry);
+        moved = true;
+      }
+      entry.sensor = sensor;
+
+      const { east, north } = origin
+        ? geodeticToLocalENU(sensor.lat, sensor.lng, origin)
+        : { east: 0, north: 0 };
+      const at = entry.coverage.getSensorPosition();
+      if (at.x !== east || at.z !== -north) {
+        entry.coverage.setSensorPosition(east, -north);
+        moved = true;
+      }
+
+      const { azimuthDeg, elevationDeg } = entry.coverage.getOrientation();
+      if (
+        azimuthDeg !== sensor.azimuthDeg ||
+        elevationDeg !== sensor.elevationDeg
+      ) {
+        entry.coverage.setCoverageOrientation(
+          sensor.azimuthDeg,
+          sensor.elevationDeg
+        );
+      }
+      entry.marker.position.copy(entry.coverage.getApexPosition());
+    }
+
+    for (const [id, entry] of entries) {
+      if (seen.has(id)) continue;
+      disposeEntry(entry);
+      entries.delete(id);
+      moved = true;
+    }
+
+    list = sensors.map((sensor) => entries.get(sensor.id));
+    return moved;
+  }
+
+  /**
+   * Attach the useTerrain instance whose height field blocks the sensors.
+   * Pass null to detach.
+   */
+  function setTerrain(api) {
+    terrainApi = api;
+    for (const { coverage } of list) coverage.setTerrain(api);
+  }
+
+  /**
+   * Recompute every sensor's line-of-sight shadow and tint the terrain
+   * hidden from all of them. Call after terrain heights, the origin or the
+   * sensor sites change.
+   */
+  function updateTerrainShadow() {
+    let merged = null;
+    for (const { coverage, marker } of list) {
+      coverage.updateTerrainShadow({ applyMask: false });
+      // the sensor altitude can come from the terrain
+      marker.position.copy(coverage.getApexPosition());
+
+      const mask = coverage.getShadowMask();
+      if (!mask) continue;
+      if (!merged) {
+        merged = mask.slice();
+        continue;
+      }
+      for (let i = 0; i < merged.length; i++) merged[i] &= mask[i];
+    }
+
+    if (!terrainApi) return;
+    if (merged) terrainApi.setShadowMask(merged);
+    else terrainApi.clearShadowMask();
+  }
+
+  /**
+   * Whether ground `heightMeters` high at world X/Z is hidden from every
+   * sensor (same rule as the merged mask), e.g. for tiled terrain.
+   */
+  function isTerrainShadowed(x, z, heightMeters, toleranceMeters = 5) {
+    if (!list.length) return false;
+    return list.every(({ coverage }) => {
+      const minAlt = coverage.minVisibleAltitudeAt(x, z);
+      return minAlt != null && heightMeters < minAlt - toleranceMeters;
+    });
+  }
+
+  // Envelope volumes on / off (markers stay)
+  function setEnvelopesVisible(visible) {
+    envelopesVisible = !!visible;
+    for (const { coverage } of list) coverage.setVisible(envelopesVisible);
+  }
+
+  function disposeSensors() {
+    for (const entry of entries.values()) disposeEntry(entry);
+    entries.clear();
+    list = [];
+    markerGeometry.dispose();
+    terrainApi = null;
+  }
+
+  return {
+    syncSensors,
+    setTerrain,
+    updateTerrainShadow,
+    isTerrainShadowed,
+    setEnvelopesVisible,
+    disposeSensors,
+    // [{ sensor, coverage, marker }] in sensor list order
+    sensors: () => list,
+    // first sensor's coverage: profile, ground and fixed view follow it
+    primary: () => list[0]?.coverage ?? null,
+  };
+}
@@ -0,0 +1,136 @@
+// src/composables/useSessionPlayback.js
+import { shallowRef } from "vue";
+import { createSessionReplay } from "@/utils/sessionRecording.js";
+
+/**
+ * Plays a recorded session back (see utils/sessionRecording.js).
+ *
+ * The playback clock `time` is in the recording's own Date.now() ms, so the
+ * replayed tracks keep their lastUpdate / time: hand `time` to the views as
+ * their clock (ThreeProfileView3 / LeafletMap `timeMs`) and dead reckoning,
+ * trails and ages behave as they did live.
+ *
+ * Exposes:
+ *  - active: shallowRef(boolean), a session is loaded
+ *  - playing: shallowRef(boolean)
+ *  - speed: shallowRef(number), playback rate (1 = real time)
+ *  - time, start, end: shallowRef(ms)
+ *  - tracks: shallowRef([...]) like useTrackSource.tracks at `time`
+ *  - sensor: shallowRef({ origin, azimuthDeg, elevationDeg, sensors }
+ *    | null), sensors = the recorded sites ([] = one sensor at the origin)
+ *  - load(session), play(), pause(), seek(ms), setSpeed(rate), close()
+ *
+ * Parent responsibilities:
+ *  - call disposePlayback() on unmount
+ */
+export function useSessionPlayback() {
+  const active = shallowRef(false);
+  const playing = shallowRef(false);
+  const speed = shallowRef(1);
+  const time = shallowRef(0);
+  const start = shallowRef(0);
+  const end = shallowRef(0);
+  const tracks = shallowRef([]);
+  const sensor = shallowRef(null);
+
+  let replay = null;
+  let frameIndex = -2; // last published frame
+  let animationId = null;
+  let lastTick = 0; // performance.now() of the previous animation frame
+
+  function publish() {
+    const state = replay.stateAt(time.value);
+    if (state.frameIndex === frameIndex) return;
+    frameIndex = state.frameIndex;
+    tracks.value = state.tracks;
+    if (state.sensor !== sensor.value) sensor.value = state.sensor;
+  }
+
+  function tick(now) {
+    const elapsed = now - lastTick;
+    lastTick = now;
+    const next = Math.min(time.value + elapsed * speed.value, end.value);
+    time.value = next;
+    publish();
+
+    if (next >= end.value) {
+      pause();
+      return;
+    }
+    animationId = requestAnimationFrame(tick);
+  }
+
+  function load(session) {
+    if (!session?.frames?.length) {
+      throw new Error("useSessionPlayback: session has no frames");
+    }
+    pause();
+    replay = createSessionReplay(session);
+    frameIndex = -2;
+    start.value = session.start;
+    end.value = session.end;
+    active.value = true;
+    seek(session.start);
+  }
+
+  function play() {
+    if (!active.value || playing.value) return;
+    if (time.value >= end.value) seek(start.value);
+    playing.value = true;
+    lastTick = performance.now();
+    animationId = requestAnimationFrame(tick);
+  }
+
+  function pause() {
+    playing.value = false;
+    if (animationId !== null) {
+      cancelAnimationFrame(animationId);
+      animationId = null;
+    }
+  }
+
+  function seek(ms) {
+    if (!replay) return;
+    time.value = Math.min(Math.max(ms, start.value), end.value);
+    publish();
+  }
+
+  function setSpeed(rate) {
+    if (!(rate > 0)) {
+      throw new Error(`useSessionPlayback: speed must be > 0 (got ${rate})`);
+    }
+    speed.value = rate;
+  }
+
+  // Unload the session (back to live)
+  function close() {
+    pause();
+    replay = null;
+    frameIndex = -2;
+    active.value = false;
+    tracks.value = [];
+    sensor.value = null;
+  }
+
+  function disposePlayback() {
+    close();
+  }
+
+  return {
+    active,
+    playing,
+    speed,
+    time,
+    start,
+    end,
+    tracks,
+    sensor,
+    load,
+    play,
+    pause,
+    seek,
+    setSpeed,
+    close,
+    disposePlayback,
+  };
+}
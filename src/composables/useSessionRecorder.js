@@ -0,0 +1,153 @@
+// src/composables/useSessionRecorder.js
+import { shallowRef, watch } from "vue";
+import { SESSION_VERSION } from "@/utils/sessionRecording.js";
+
+/**
+ * Records what the app shows into a session (see utils/sessionRecording.js).
+ *
+ * `tracks` is the track source's tracks ref; every published array is
+ * diffed against the previous one by object identity (the source replaces
+ * the objects it changes), so a frame only holds updated tracks and removed
+ * ids. `sensor` is a getter for
+ * { origin, azimuthDeg, elevationDeg, sensors? } (sensors: the normalized
+ * site list, utils/sensors.js), recorded when any of them changes.
+ *
+ * Recording stops by itself after `maxFrames` frames.
+ *
+ * Exposes:
+ *  - recording: shallowRef(boolean)
+ *  - frameCount: shallowRef(number), frames in the current session
+ *  - start() (discards the previous session), stop()
+ *  - session(): the last recorded session, or null
+ */
+export function useSessionRecorder({ tracks, sensor, maxFrames = 100_000 }) {
+  if (!tracks) {
+    throw new Error("useSessionRecorder: tracks is required");
+  }
+  if (typeof sensor !== "function") {
+    throw new Error("useSessionRecorder: sensor must be a getter");
+  }
+
+  const recording = shallowRef(false);
+  const frameCount = shallowRef(0);
+
+  let current = null; // session being / last recorded
+  let lastTracks = new Map(); // id -> track object last recorded
+  let lastSensor = null;
+  let stopWatches = null;
+
+  function snapshotSensor() {
+    const { origin, azimuthDeg = 0, elevationDeg = 0, sensors = [] } = sensor();
+    return {
+      origin: origin ? { lat: origin.lat, lng: origin.lng } : null,
+      azimuthDeg,
+      elevationDeg,
+      // plain copy: the sites may be reactive and get replaced later
+      sensors: JSON.parse(JSON.stringify(sensors)),
+    };
+  }
+
+  function sameSensor(a, b) {
+    return (
+      a.azimuthDeg === b.azimuthDeg &&
+      a.elevationDeg === b.elevationDeg &&
+      a.origin?.lat === b.origin?.lat &&
+      a.origin?.lng === b.origin?.lng &&
+      JSON.stringify(a.sensors) === JSON.stringify(b.sensors)
+    );
+  }
+
+  function pushFrame(frame) {
+    current.frames.push(frame);
+    current.end = frame.time;
+    frameCount.value = current.frames.length;
+    if (current.frames.length >= maxFrames) {
+      console.warn(
+        `useSessionRecorder: stopped after ${maxFrames} frames (maxFrames)`
+      );
+      stop();
+    }
+  }
+
+  function recordTracks(list, now = Date.now()) {
+    const next = new Map();
+    const changed = [];
+    for (const track of list) {
+      next.set(track.id, track);
+      if (lastTracks.get(track.id) !== track) changed.push(track);
+    }
+    const removed = [];
+    for (const id of lastTracks.keys()) {
+      if (!next.has(id)) removed.push(id);
+    }
+    lastTracks = next;
+
+    if (!changed.length && !removed.length) return;
+    const frame = { time: now };
+    if (changed.length) frame.tracks = changed;
+    if (removed.length) frame.removed = removed;
+    pushFrame(frame);
+  }
+
+  function recordSensor(now = Date.now()) {
+    const next = snapshotSensor();
+    if (lastSensor && sameSensor(lastSensor, next)) return;
+    lastSensor = next;
+    pushFrame({ time: now, sensor: next });
+  }
+
+  function start(now = Date.now()) {
+    stop();
+
+    lastSensor = snapshotSensor();
+    lastTracks = new Map(tracks.value.map((track) => [track.id, track]));
+    current = {
+      version: SESSION_VERSION,
+      start: now,
+      end: now,
+      frames: [],
+    };
+    recording.value = true;
+    pushFrame({
+      time: now,
+      tracks: [...lastTracks.values()],
+      sensor: lastSensor,
+    });
+    if (!recording.value) return;
+
+    const stopTracks = watch(tracks, (list) => recordTracks(list));
+    const stopSensor = watch(sensor, () => recordSensor(), { deep: true });
+    stopWatches = () => {
+      stopTracks();
+      stopSensor();
+    };
+  }
+
+  function stop(now = Date.now()) {
+    stopWatches?.();
+    stopWatches = null;
+    if (recording.value) current.end = Math.max(current.end, now);
+    recording.value = false;
+  }
+
+  function session() {
+    return current;
+  }
+
+  function disposeRecorder() {
+    stop();
+    current = null;
+    lastTracks = new Map();
+    lastSensor = null;
+    frameCount.value = 0;
+  }
+
+  return {
+    recording,
+    frameCount,
+    start,
+    stop,
+    session,
+    disposeRecorder,
+  };
+}
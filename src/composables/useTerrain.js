@@ -1,5 +1,20 @@
 // src/composables/useTerrain.js
 import * as THREE from "three";
+import { fetchTerrainMeta, binUrlForMeta } from "@/utils/terrainMeta.js";
+import { geodeticToLocalENU, FLAT_EARTH } from "@/utils/geodesy.js";
+import { applyEarthDrop } from "@/utils/earthCurvatureMaterial.js";
+import {
+  writeTerrainColors,
+  tintVertexColor,
+  DEFAULT_SHADOW_TINT,
+} from "@/utils/terrainColors.js";
+import { buildGridArrays, decodeHeights } from "@/utils/terrainMeshBuilder.js";
+import { resampleHeights, resampledSize } from "@/utils/terrainResample.js";
+import {
+  heightAt,
+  profileAlong as profileAlongField,
+} from "@/utils/terrainQuery.js";
+import { createTerrainWorker } from "@/utils/terrainWorkerClient.js";
 
 export function useTerrain({
   scene,
@@ -11,24 +26,55 @@ export function useTerrain({
   wireframe = false,
   nodata = -32768,
   nodataFillMeters = 0,
+  // displayed surface, see terrainResample.js: "raw" | "max" | "mean";
+  // "max" never underestimates peaks (use it for obstacle clearance)
+  surface = "raw",
+  downsample = 1, // integer factor from the input grid to the mesh
+  // geodesy earth model; curved lowers the mesh by the curvature drop from
+  // the scene origin (heights returned by queries stay true heights)
+  earthModel = FLAT_EARTH,
 } = {}) {
   if (!scene) throw new Error("useTerrain: scene is required");
   if (samples < 2) throw new Error("useTerrain: samples must be >= 2");
 
+  // `samples` is the input grid side, `gridSamples` the displayed one
+  let gridSamples = resampledSize(samples, downsample);
+
   let mesh = null;
   let geometry = null;
   let mat = null;
 
+  // Heights as displayed (meters, NaN = nodata)
+  let gridHeights = null;
+  // Max-preserving heights on the displayed grid, for terrain queries
+  let queryHeights = null;
+  let gridNodataFill = nodataFillMeters;
+  // Vertex colors before any shadow tint is applied
+  let baseColors = null;
+  // Last shadow mask + tint, re-applied whenever the base colors change
+  let shadowMask = null;
+  let shadowTint = DEFAULT_SHADOW_TINT;
+
+  // Off-main-thread mesh building; buildSeq drops results of stale builds
+  const terrainWorker = createTerrainWorker();
+  let buildSeq = 0;
+  let colorSeq = 0;
+
+  // Parsed terrain.meta.json (see terrainMeta.js), null when configured by hand
+  let meta = null;
+  // Scene origin { lat, lng } the mesh was last placed against
+  let sceneOrigin = null;
+
   function initTerrain() {
     // Dispose previous if re-init
-    disposeTerrain();
+    disposeMesh();
 
     // PlaneGeometry is XY by default; rotate to XZ so Y is up.
     geometry = new THREE.PlaneGeometry(
       sizeMeters,
       sizeMeters,
-      samples - 1,
-      samples - 1
+      gridSamples - 1,
+      gridSamples - 1
     );
     geometry.rotateX(-Math.PI / 2);
 
@@ -48,8 +94,11 @@ export function useTerrain({
         vertexColors: true,
         wireframe,
       });
+    applyEarthDrop(mat, earthModel, altScale);
 
     mesh = new THREE.Mesh(geometry, mat);
+    // bounds ignore the curvature drop done in the shader
+    mesh.frustumCulled = !earthModel.curved;
     mesh.receiveShadow = true;
 
     // yOffsetMeters is in meters, apply scaling here
@@ -65,30 +114,90 @@ export function useTerrain({
     const buf = await resp.arrayBuffer();
 
     // IMPORTANT: assumes little-endian int16 like we planned
-    const heights = new Int16Array(buf);
-
     const expected = samples * samples;
-    if (heights.length !== expected) {
+    if (buf.byteLength !== expected * Int16Array.BYTES_PER_ELEMENT) {
       throw new Error(
-        `useTerrain: heightmap has ${heights.length} samples, expected ${expected}. ` +
+        `useTerrain: ${url} is ${buf.byteLength} bytes, expected ${
+          expected * Int16Array.BYTES_PER_ELEMENT
+        } (${samples}x${samples} int16). ` +
           `Check that server/generator used samples=${samples}.`
       );
     }
 
-    return heights;
+    return new Int16Array(buf);
   }
 
-  function setHeights(heightsInput, opts = {}) {
-    if (!geometry)
-      throw new Error("useTerrain: call initTerrain() before setHeights()");
-    const {
-      flipX = false,
-      flipZ = false,
-      computeNormals = true,
-      nodataOverride = nodata,
-      nodataFillOverride = nodataFillMeters,
-    } = opts;
+  /**
+   * Take grid size, samples and nodata from parsed terrain metadata.
+   * Must be called before initTerrain() (loadFromMeta() does both).
+   */
+  function applyMeta(parsedMeta) {
+    meta = parsedMeta;
+    // metadata overrides the constructor config
+    sizeMeters = meta.sizeMeters;
+    samples = meta.samples;
+    gridSamples = resampledSize(samples, downsample);
+    nodata = meta.nodata;
+  }
 
+  /**
+   * Placement of the grid center relative to the tile origin, from center_offset.
+   * (X = east, Z = -north.)
+   */
+  function getMetaPlacement() {
+    if (!meta) return { x: 0, z: 0 };
+    return { x: meta.centerOffset.east, z: -meta.centerOffset.north };
+  }
+
+  /**
+   * Anchor the tile by its own geodetic origin: the grid center lands at the
+   * tile origin (converted to the scene's local ENU frame) plus center_offset.
+   * The placement only depends on geography, not on the ground square or
+   * coverage direction. Without metadata or a scene origin this falls back
+   * to getMetaPlacement().
+   */
+  function placeRelativeTo(origin) {
+    sceneOrigin = origin ?? null;
+
+    if (!meta || !sceneOrigin) {
+      setPlacement(getMetaPlacement());
+      return;
+    }
+
+    const tile = geodeticToLocalENU(meta.origin.lat, meta.origin.lng, origin);
+    setPlacement({
+      x: tile.east + meta.centerOffset.east,
+      z: -(tile.north + meta.centerOffset.north),
+    });
+  }
+
+  /**
+   * Fetch terrain.meta.json, configure the grid from it, build the mesh and
+   * load the matching .bin. The .bin url defaults to the meta url with
+   * `.meta.json` replaced by `.bin`. Decoding, colors and normals are built
+   * in the terrain worker; pass `colorOptions` (see writeTerrainColors) to
+   * color the mesh in the same pass.
+   */
+  async function loadFromMeta(
+    metaUrl,
+    { binUrl = null, colorOptions = null } = {}
+  ) {
+    const parsed = await fetchTerrainMeta(metaUrl);
+    applyMeta(parsed);
+
+    initTerrain();
+
+    const heights = await loadHeightsFromUrl(binUrl ?? binUrlForMeta(metaUrl));
+    const result = await setHeightsAsync(heights, {
+      colorOptions,
+      transferHeights: true,
+    });
+    placeRelativeTo(sceneOrigin);
+
+    return { meta: parsed, heights: result.heights };
+  }
+
+  function validateHeights(heightsInput) {
     // Normalize input
     let heights = heightsInput;
     if (heightsInput instanceof ArrayBuffer)
@@ -102,53 +211,228 @@ export function useTerrain({
     }
 
     const posAttr = geometry.attributes.position;
-    if (posAttr.count !== expected) {
+    if (posAttr.count !== gridSamples * gridSamples) {
       throw new Error(
-        `useTerrain: geometry has ${posAttr.count} vertices but expected ${expected}. ` +
+        `useTerrain: geometry has ${posAttr.count} vertices but expected ${
+          gridSamples * gridSamples
+        }. ` +
           `Did you create PlaneGeometry(size,size, samples-1, samples-1) with the same samples?`
       );
     }
 
-    const arr = posAttr.array; // Float32Array [x,y,z,...]
+    return heights;
+  }
+
+  function gridJobParams(heights, opts) {
+    const {
+      flipX = false,
+      flipZ = false,
+      computeNormals = true,
+      nodataOverride = nodata,
+      nodataFillOverride = nodataFillMeters,
+      colorOptions = null,
+    } = opts;
 
     // Mapping assumption:
     // - heights are row-major (row 0 = north edge, col 0 = west edge)
     // - PlaneGeometry is row-major too (after rotate doesn't change vertex ordering)
-    for (let row = 0; row < samples; row++) {
-      const srcRow = flipZ ? samples - 1 - row : row;
-      const rowBase = row * samples;
-
-      for (let col = 0; col < samples; col++) {
-        const srcCol = flipX ? samples - 1 - col : col;
-
-        const srcIdx = srcRow * samples + srcCol;
-        let h = heights[srcIdx];
+    return {
+      heights,
+      samples,
+      sizeMeters,
+      altScale,
+      nodata: nodataOverride,
+      nodataFill: nodataFillOverride,
+      flipX,
+      flipZ,
+      computeNormals,
+      surface,
+      downsample,
+      colorOptions: colorOptions && {
+        nodataValue: nodataOverride,
+        ...colorOptions,
+      },
+    };
+  }
 
-        if (h === nodataOverride) h = nodataFillOverride;
+  // Attach builder output (see terrainMeshBuilder.buildGridArrays)
+  function attachGridArrays(
+    { gridHeights: grid, queryHeights: query, positions, normals, colors },
+    nodataFill
+  ) {
+    gridHeights = grid;
+    queryHeights = query;
+    gridNodataFill = nodataFill;
 
-        const vIdx = (rowBase + col) * 3;
-        arr[vIdx + 1] = h * altScale;
-      }
+    geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+    if (normals) {
+      geometry.setAttribute("normal", new THREE.BufferAttribute(normals, 3));
+    }
+    if (colors) {
+      baseColors = colors;
+      applyColors();
     }
 
-    posAttr.needsUpdate = true;
-
-    if (computeNormals) geometry.computeVertexNormals();
     geometry.computeBoundingSphere();
     geometry.computeBoundingBox();
   }
 
+  function setHeights(heightsInput, opts = {}) {
+    if (!geometry)
+      throw new Error("useTerrain: call initTerrain() before setHeights()");
+
+    const heights = validateHeights(heightsInput);
+    const params = gridJobParams(heights, opts);
+    attachGridArrays(buildGridArrays(params), params.nodataFill);
+  }
+
+  /**
+   * Same as setHeights(), but decoding, nodata fill, colors (when
+   * `opts.colorOptions` is given) and normals run in the terrain worker.
+   * The heights are copied before being sent unless `opts.transferHeights`
+   * is set; either way the resolved result carries them back as `heights`.
+   * Resolves with null if a newer build superseded this one.
+   */
+  async function setHeightsAsync(heightsInput, opts = {}) {
+    if (!geometry)
+      throw new Error(
+        "useTerrain: call initTerrain() before setHeightsAsync()"
+      );
+
+    const heights = validateHeights(heightsInput);
+    const payload = opts.transferHeights ? heights : heights.slice();
+    const params = gridJobParams(payload, opts);
+
+    const seq = ++buildSeq;
+    const result = await terrainWorker.run("grid", params, [payload.buffer]);
+    if (seq !== buildSeq || !geometry) return null;
+
+    attachGridArrays(result, params.nodataFill);
+    return result;
+  }
+
   function setPlacement({ x = 0, z = 0 } = {}) {
     if (!mesh) return;
     mesh.position.x = x;
     mesh.position.z = z;
   }
 
+  /**
+   * Snapshot of the grid for terrain analysis (see terrainShadow.js).
+   * By default the heights are the max-preserving ones, so line-of-sight and
+   * clearance never see lower terrain than there is; pass
+   * `{ conservative: false }` for the heights as displayed.
+   * Returns null until setHeights() has run.
+   */
+  function getHeightField({ conservative = true } = {}) {
+    if (!mesh || !gridHeights) return null;
+    return {
+      heights: conservative ? queryHeights : gridHeights,
+      samples: gridSamples,
+      sizeMeters,
+      centerX: mesh.position.x,
+      centerZ: mesh.position.z,
+      nodataFill: gridNodataFill,
+    };
+  }
+
+  // -------------------------------------------------------------------
+  // Elevation queries (true meters; null = outside the grid or nodata).
+  // They read the displayed surface; pass { conservative: true } for the
+  // max-preserving heights (clearance checks).
+  // -------------------------------------------------------------------
+
+  /**
+   * Ground elevation at scene-local world X/Z (X = east, Z = -north).
+   */
+  function heightAtLocal(x, z, { conservative = false } = {}) {
+    const field = getHeightField({ conservative });
+    return field ? heightAt(field, x, z) : null;
+  }
+
+  // { lat, lng } -> world X/Z against the origin of the last placeRelativeTo()
+  function latLngToLocal(lat, lng) {
+    if (!sceneOrigin) {
+      throw new Error(
+        "useTerrain: placeRelativeTo(origin) before querying by lat/lng"
+      );
+    }
+    const { east, north } = geodeticToLocalENU(lat, lng, sceneOrigin);
+    return { x: east, z: -north };
+  }
+
+  /**
+   * Ground elevation at a geodetic position.
+   */
+  function heightAtLatLng(lat, lng, opts) {
+    const { x, z } = latLngToLocal(lat, lng);
+    return heightAtLocal(x, z, opts);
+  }
+
+  /**
+   * Ground profile along `pathPoints` (either `{ x, z }` world points or
+   * `{ lat, lng }`), sampled every `stepMeters` and at every vertex.
+   * Returns `[{ distance, x, z, height }]`, or [] before heights are loaded.
+   */
+  function profileAlong(pathPoints, stepMeters, { conservative = false } = {}) {
+    const field = getHeightField({ conservative });
+    if (!field) return [];
+
+    const points = pathPoints.map((p) =>
+      p.lat != null && p.lng != null ? latLngToLocal(p.lat, p.lng) : p
+    );
+    return profileAlongField(field, points, stepMeters);
+  }
+
+  // baseColors + shadow tint -> color attribute
+  function applyColors() {
+    if (!geometry || !baseColors) return;
+
+    const colors = new Float32Array(baseColors);
+    if (shadowMask) {
+      for (let i = 0; i < shadowMask.length; i++) {
+        if (shadowMask[i]) tintVertexColor(colors, i, shadowTint);
+      }
+    }
+
+    geometry.setAttribute("color", new THREE.BufferAttribute(colors, 3));
+    geometry.attributes.color.needsUpdate = true;
+  }
+
+  /**
+   * Tint vertices flagged in `mask` (1 = shadowed) on top of the current colors.
+   * The mask sticks across later color changes until clearShadowMask().
+   */
+  function setShadowMask(mask, tint = DEFAULT_SHADOW_TINT) {
+    if (!geometry) throw new Error("useTerrain: initTerrain() first");
+
+    const count = geometry.attributes.position.count;
+    if (!mask || mask.length !== count) {
+      throw new Error(
+        `useTerrain: shadow mask length must be ${count} (got ${mask?.length})`
+      );
+    }
+
+    if (!baseColors) {
+      // No height colors yet: shade a neutral white surface
+      baseColors = new Float32Array(count * 3).fill(1);
+    }
+
+    shadowMask = mask;
+    shadowTint = tint;
+    applyColors();
+  }
+
+  function clearShadowMask() {
+    shadowMask = null;
+    applyColors();
+  }
+
   function setVisible(v) {
     if (mesh) mesh.visible = !!v;
   }
 
-  function disposeTerrain() {
+  function disposeMesh() {
     if (mesh) {
       scene.remove(mesh);
       mesh = null;
@@ -161,6 +445,17 @@ export function useTerrain({
       mat.dispose();
       mat = null;
     }
+    gridHeights = null;
+    queryHeights = null;
+    baseColors = null;
+    shadowMask = null;
+    buildSeq++;
+    colorSeq++;
+  }
+
+  function disposeTerrain() {
+    disposeMesh();
+    terrainWorker.disposeWorker();
   }
 
   function setDebugNodataColors(heights, NODATA = -32768) {
@@ -182,101 +477,74 @@ export function useTerrain({
     geometry.attributes.color.needsUpdate = true;
   }
 
-  function setColorsFromHeights(
-    heightsInput,
-    {
-      nodataValue = nodata,
-      seaLevel = 0,
-      // height stops in meters (tweak later)
-      h0 = 0, // sea level
-      h1 = 200, // lowlands
-      h2 = 800, // hills
-      h3 = 1800, // mountains
-      h4 = 3000, // high peaks
-    } = {}
-  ) {
+  /**
+   * Paint vertices from raw heights with a color ramp
+   * (see writeTerrainColors for `colorOptions`: ramp, referenceAltitude).
+   */
+  function setColorsFromHeights(heightsInput, colorOptions = {}) {
     if (!geometry) throw new Error("useTerrain: initTerrain() first");
 
-    let heights = heightsInput;
-    if (heightsInput instanceof ArrayBuffer)
-      heights = new Int16Array(heightsInput);
-
-    const expected = samples * samples;
-    if (!heights || heights.length !== expected) {
-      throw new Error(
-        `useTerrain: heights length must be ${expected} (got ${heights?.length})`
-      );
-    }
-
-    const colors = new Float32Array(expected * 3);
-
-    // helper: linear interpolation
-    const lerp = (a, b, t) => a + (b - a) * t;
-    const clamp01 = (t) => Math.max(0, Math.min(1, t));
-
-    // helper: blend two RGB colors (0..1)
-    function mix(c1, c2, t) {
-      t = clamp01(t);
-      return [
-        lerp(c1[0], c2[0], t),
-        lerp(c1[1], c2[1], t),
-        lerp(c1[2], c2[2], t),
-      ];
-    }
+    const heights = validateHeights(heightsInput);
+    // same surface as the mesh
+    const display = resampleHeights(
+      decodeHeights(heights, samples, { nodata }),
+      samples,
+      {
+        method: surface,
+        factor: downsample,
+      }
+    );
 
-    // palette (feel free to tweak)
-    const WATER_DEEP = [0.03, 0.08, 0.18];
-    const WATER_SHALLOW = [0.05, 0.18, 0.35];
-
-    const LOWLAND = [0.12, 0.3, 0.12]; // green
-    const HILLS = [0.4, 0.42, 0.18]; // olive / dry grass
-    const ROCK = [0.45, 0.42, 0.4]; // gray-brown rock
-    const SNOW = [0.92, 0.92, 0.92]; // snow
-
-    for (let i = 0; i < expected; i++) {
-      const h = heights[i];
-
-      let rgb;
-
-      if (h === nodataValue) {
-        // No bathymetry available: paint as ocean
-        rgb = WATER_DEEP;
-      } else if (h < seaLevel) {
-        // If you ever have negative elevations and want them water-ish
-        // blend deep->shallow by depth (cap at -200m for appearance)
-        const t = clamp01((h - -200) / (seaLevel - -200));
-        rgb = mix(WATER_DEEP, WATER_SHALLOW, t);
-      } else if (h < h1) {
-        // lowlands: green ramp
-        const t = clamp01((h - h0) / (h1 - h0));
-        rgb = mix([0.08, 0.22, 0.08], LOWLAND, t);
-      } else if (h < h2) {
-        // hills: green -> olive
-        const t = clamp01((h - h1) / (h2 - h1));
-        rgb = mix(LOWLAND, HILLS, t);
-      } else if (h < h3) {
-        // mountains: olive -> rock
-        const t = clamp01((h - h2) / (h3 - h2));
-        rgb = mix(HILLS, ROCK, t);
-      } else {
-        // high mountains: rock -> snow
-        const t = clamp01((h - h3) / (h4 - h3));
-        rgb = mix(ROCK, SNOW, t);
+    const colors = writeTerrainColors(
+      display.heights,
+      new Float32Array(display.heights.length * 3),
+      {
+        samples: gridSamples,
+        cellSize: sizeMeters / (gridSamples - 1),
+        ...colorOptions,
       }
+    );
 
-      const j = i * 3;
-      colors[j + 0] = rgb[0];
-      colors[j + 1] = rgb[1];
-      colors[j + 2] = rgb[2];
-    }
+    baseColors = colors;
+    applyColors();
+  }
 
-    geometry.setAttribute("color", new THREE.BufferAttribute(colors, 3));
-    geometry.attributes.color.needsUpdate = true;
+  /**
+   * Recolor the displayed grid in the terrain worker (see writeTerrainColors
+   * for `colorOptions`: ramp, referenceAltitude). Resolves once the colors
+   * are attached, or with false if a newer recolor superseded this one.
+   */
+  async function setColorsAsync(colorOptions = {}) {
+    if (!geometry || !gridHeights)
+      throw new Error("useTerrain: setHeights() before setColorsAsync()");
+
+    const payload = gridHeights.slice();
+    const seq = ++colorSeq;
+    const result = await terrainWorker.run(
+      "colors",
+      {
+        gridHeights: payload,
+        samples: gridSamples,
+        cellSize: sizeMeters / (gridSamples - 1),
+        colorOptions,
+      },
+      [payload.buffer]
+    );
+    if (seq !== colorSeq || !geometry) return false;
+
+    baseColors = result.colors;
+    applyColors();
+    return true;
   }
 
   return {
     initTerrain,
     loadHeightsFromUrl,
+    loadFromMeta,
+    applyMeta,
+    getMetaPlacement,
+    placeRelativeTo,
+    getMeta: () => meta,
     setHeights,
     setPlacement,
     setVisible,
@@ -286,5 +554,13 @@ export function useTerrain({
     },
     setDebugNodataColors,
     setColorsFromHeights,
+    setColorsAsync,
+    setHeightsAsync,
+    getHeightField,
+    heightAtLocal,
+    heightAtLatLng,
+    profileAlong,
+    setShadowMask,
+    clearShadowMask,
   };
 }
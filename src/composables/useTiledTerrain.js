@@ -0,0 +1,472 @@
+// src/composables/useTiledTerrain.js
+import * as THREE from "three";
+import { fetchTilesetMeta } from "@/utils/terrainMeta.js";
+import { geodeticToLocalENU, FLAT_EARTH } from "@/utils/geodesy.js";
+import { applyEarthDrop } from "@/utils/earthCurvatureMaterial.js";
+import { tintVertexColor } from "@/utils/terrainColors.js";
+import { copySkirtColors } from "@/utils/terrainMeshBuilder.js";
+import { createTerrainWorker } from "@/utils/terrainWorkerClient.js";
+
+/**
+ * Multi-resolution terrain streamed from a local tile directory.
+ *
+ * Layout (see parseTilesetMeta and generate_heightmap.py "tiles" config):
+ *   <baseUrl>/tileset.json
+ *   <baseUrl>/{z}/{x}/{y}.bin   int16 little-endian row-major, samples^2
+ * Tile samples are the max of the source heights they cover, so every level
+ * is a conservative display like useTerrain's "max" surface.
+ *
+ * Tiles form a quadtree over the tileset square. Every frame update(camera)
+ * walks it and splits a tile while the camera is closer than
+ * `tile size * lodFactor`; a parent stays on screen until all four children
+ * are loaded. Each tile carries skirts (edge vertices dropped by
+ * skirtDepthMeters) so level changes between neighbours don't show cracks.
+ * Tile meshes and colors are built in the terrain worker.
+ *
+ * Parent responsibilities:
+ *  - call initTiledTerrain() once, then placeRelativeTo(origin)
+ *  - call update(camera) in the render loop
+ *  - call disposeTiledTerrain() on unmount
+ */
+export function useTiledTerrain({
+  scene,
+  baseUrl = "/terrain_tiles/",
+  altScale = 1,
+  lodFactor = 1.5, // split while camera distance < tile size * lodFactor
+  skirtDepthMeters = 300,
+  maxConcurrentLoads = 4,
+  maxCachedTiles = 256,
+  nodataFillMeters = 0,
+  colorOptions = {}, // forwarded to writeTerrainColors (ramp, referenceAltitude)
+  earthModel = FLAT_EARTH, // geodesy earth model, curved drops tiles with range
+} = {}) {
+  if (!scene) throw new Error("useTiledTerrain: scene is required");
+
+  let tileset = null;
+  let root = null;
+  let group = null; // holds all tile meshes, positioned at the tileset center
+  let material = null;
+
+  let frame = 0;
+  let activeLoads = 0;
+  let generation = 0; // bumped on dispose so late fetches are dropped
+  let pending = []; // nodes requested during the current update()
+  const readyNodes = new Set();
+  const visibleNodes = new Set();
+
+  // (worldX, worldZ, heightMeters) => true when the sensor can't see it
+  let shadowQuery = null;
+
+  const localCamera = new THREE.Vector3();
+  const terrainWorker = createTerrainWorker();
+
+  // -------------------------------------------------------------------
+  // Setup
+  // -------------------------------------------------------------------
+
+  async function initTiledTerrain() {
+    disposeTiledTerrain();
+    const gen = generation;
+
+    const url = `${baseUrl}tileset.json`;
+    const parsed = await fetchTilesetMeta(url);
+    if (gen !== generation) return null; // disposed while loading
+
+    tileset = parsed;
+
+    material = applyEarthDrop(
+      new THREE.MeshBasicMaterial({
+        vertexColors: true,
+        side: THREE.DoubleSide, // skirts are seen from both sides
+      }),
+      earthModel,
+      altScale
+    );
+
+    group = new THREE.Group();
+    group.position.set(
+      tileset.centerOffset.east,
+      0,
+      -tileset.centerOffset.north
+    );
+    scene.add(group);
+
+    root = createNode(0, 0, 0);
+    return tileset;
+  }
+
+  /**
+   * Same anchoring as useTerrain.placeRelativeTo: tileset origin converted
+   * to the scene's local ENU frame plus center_offset.
+   */
+  function placeRelativeTo(origin) {
+    if (!group || !tileset) return;
+
+    const tile = origin
+      ? geodeticToLocalENU(tileset.origin.lat, tileset.origin.lng, origin)
+      : { east: 0, north: 0 };
+
+    group.position.set(
+      tile.east + tileset.centerOffset.east,
+      0,
+      -(tile.north + tileset.centerOffset.north)
+    );
+
+    if (shadowQuery) recolorAll();
+  }
+
+  // -------------------------------------------------------------------
+  // Quadtree nodes
+  // -------------------------------------------------------------------
+
+  function createNode(z, x, y) {
+    const size = tileset.sizeMeters / 2 ** z;
+    const half = tileset.sizeMeters / 2;
+    return {
+      z,
+      x,
+      y,
+      size,
+      // tile center relative to the group (X = east, Z = south)
+      cx: -half + (x + 0.5) * size,
+      cz: -half + (y + 0.5) * size,
+      state: "empty", // empty | loading | ready | missing
+      children: null,
+      mesh: null,
+      gridHeights: null, // Float32 meters, NaN = nodata
+      lastUsed: 0,
+    };
+  }
+
+  function tileUrl(node) {
+    return (
+      baseUrl +
+      tileset.pathTemplate
+        .replace("{z}", node.z)
+        .replace("{x}", node.x)
+        .replace("{y}", node.y)
+    );
+  }
+
+  async function loadNode(node) {
+    const gen = generation;
+    node.state = "loading";
+    activeLoads++;
+
+    try {
+      const url = tileUrl(node);
+      const resp = await fetch(url);
+      if (gen !== generation) return;
+
+      if (!resp.ok) {
+        node.state = "missing";
+        return;
+      }
+
+      const buf = await resp.arrayBuffer();
+      if (gen !== generation) return;
+
+      const S = tileset.tileSamples;
+      if (buf.byteLength !== S * S * Int16Array.BYTES_PER_ELEMENT) {
+        console.warn(
+          `useTiledTerrain: ${url} is ${buf.byteLength} bytes, expected ${
+            S * S * Int16Array.BYTES_PER_ELEMENT
+          } (${S}x${S} int16), skipping`
+        );
+        node.state = "missing";
+        return;
+      }
+
+      const result = await terrainWorker.run(
+        "tile",
+        {
+          heights: buf,
+          samples: S,
+          sizeMeters: node.size,
+          x0: node.cx - node.size / 2,
+          z0: node.cz - node.size / 2,
+          altScale,
+          nodata: tileset.nodata,
+          nodataFill: nodataFillMeters,
+          skirtDepthMeters,
+          colorOptions: { nodataValue: tileset.nodata, ...colorOptions },
+        },
+        [buf]
+      );
+      if (gen !== generation) return;
+
+      node.gridHeights = result.gridHeights;
+      node.mesh = new THREE.Mesh(buildTileGeometry(result), material);
+      node.mesh.visible = false;
+      // bounds ignore the curvature drop done in the shader
+      node.mesh.frustumCulled = !earthModel.curved;
+      group.add(node.mesh);
+      if (shadowQuery) applyShadow(node, result.colors);
+
+      node.state = "ready";
+      readyNodes.add(node);
+    } catch (err) {
+      if (gen !== generation) return;
+      console.warn(`useTiledTerrain: tile ${node.z}/${node.x}/${node.y}`, err);
+      node.state = "missing";
+    } finally {
+      if (gen === generation) activeLoads--;
+    }
+  }
+
+  function unloadNode(node) {
+    if (node.mesh) {
+      group.remove(node.mesh);
+      node.mesh.geometry.dispose();
+      node.mesh = null;
+    }
+    node.gridHeights = null;
+    node.state = "empty";
+    readyNodes.delete(node);
+  }
+
+  // -------------------------------------------------------------------
+  // Geometry
+  // -------------------------------------------------------------------
+
+  // Wrap builder output (see terrainMeshBuilder.buildTileArrays)
+  function buildTileGeometry({ positions, colors, index }) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute("color", new THREE.BufferAttribute(colors, 3));
+    geometry.setIndex(new THREE.BufferAttribute(index, 1));
+    geometry.computeBoundingSphere();
+    geometry.computeBoundingBox();
+    return geometry;
+  }
+
+  // Tint hidden grid vertices in `colors` (height colors) and attach them
+  function applyShadow(node, colors) {
+    const S = tileset.tileSamples;
+
+    if (shadowQuery) {
+      const step = node.size / (S - 1);
+      const x0 = group.position.x + node.cx - node.size / 2;
+      const z0 = group.position.z + node.cz - node.size / 2;
+
+      for (let r = 0; r < S; r++) {
+        for (let c = 0; c < S; c++) {
+          const i = r * S + c;
+          const h = node.gridHeights[i];
+          const hm = Number.isNaN(h) ? nodataFillMeters : h;
+          if (shadowQuery(x0 + c * step, z0 + r * step, hm)) {
+            tintVertexColor(colors, i);
+          }
+        }
+      }
+      copySkirtColors(colors, S);
+    }
+
+    node.mesh.geometry.setAttribute(
+      "color",
+      new THREE.BufferAttribute(colors, 3)
+    );
+  }
+
+  async function recolorNode(node) {
+    const gen = generation;
+    const S = tileset.tileSamples;
+    const payload = node.gridHeights.slice();
+
+    const result = await terrainWorker.run(
+      "colors",
+      {
+        gridHeights: payload,
+        samples: S,
+        cellSize: node.size / (S - 1),
+        colorOptions: { nodataValue: tileset.nodata, ...colorOptions },
+        vertexCount: S * S + 4 * S,
+      },
+      [payload.buffer]
+    );
+    if (gen !== generation || node.state !== "ready") return;
+
+    copySkirtColors(result.colors, S);
+    applyShadow(node, result.colors);
+  }
+
+  function recolorAll() {
+    for (const node of readyNodes) {
+      recolorNode(node).catch((err) =>
+        console.warn(
+          `useTiledTerrain: recolor ${node.z}/${node.x}/${node.y}`,
+          err
+        )
+      );
+    }
+  }
+
+  /**
+   * Switch the color ramp (see writeTerrainColors). Loaded tiles are
+   * recolored in the worker, new tiles pick it up as they arrive.
+   */
+  function setColorOptions(options) {
+    colorOptions = { ...options };
+    recolorAll();
+  }
+
+  /**
+   * Shade tiles the sensor can't see. `fn(worldX, worldZ, heightMeters)`
+   * returns true for hidden vertices; pass null to clear. Loaded tiles are
+   * recolored immediately, new tiles as they arrive.
+   */
+  function setShadowQuery(fn) {
+    shadowQuery = fn ?? null;
+    recolorAll();
+  }
+
+  // -------------------------------------------------------------------
+  // LOD selection
+  // -------------------------------------------------------------------
+
+  function distanceToNode(node, p) {
+    const dx = Math.max(Math.abs(p.x - node.cx) - node.size / 2, 0);
+    const dz = Math.max(Math.abs(p.z - node.cz) - node.size / 2, 0);
+    return Math.hypot(dx, p.y, dz);
+  }
+
+  function requestLoad(node) {
+    if (node.state === "empty") pending.push(node);
+  }
+
+  function selectNode(node) {
+    node.lastUsed = frame;
+    requestLoad(node);
+
+    const wantSplit =
+      node.z < tileset.maxLevel &&
+      distanceToNode(node, localCamera) < node.size * lodFactor;
+
+    if (wantSplit) {
+      if (!node.children) {
+        const z = node.z + 1;
+        const x = node.x * 2;
+        const y = node.y * 2;
+        node.children = [
+          createNode(z, x, y),
+          createNode(z, x + 1, y),
+          createNode(z, x, y + 1),
+          createNode(z, x + 1, y + 1),
+        ];
+      }
+
+      let allReady = true;
+      for (const child of node.children) {
+        child.lastUsed = frame;
+        requestLoad(child);
+        if (child.state !== "ready") allReady = false;
+      }
+
+      if (allReady) {
+        for (const child of node.children) selectNode(child);
+        return;
+      }
+      // children still loading (or missing on disk): keep drawing this level
+    }
+
+    if (node.state === "ready") visibleNodes.add(node);
+  }
+
+  function startPendingLoads() {
+    pending.sort(
+      (a, b) =>
+        a.z - b.z ||
+        distanceToNode(a, localCamera) - distanceToNode(b, localCamera)
+    );
+
+    for (const node of pending) {
+      if (activeLoads >= maxConcurrentLoads) break;
+      if (node.state === "empty") loadNode(node);
+    }
+    pending = [];
+  }
+
+  function evictUnused() {
+    if (readyNodes.size <= maxCachedTiles) return;
+
+    const candidates = [...readyNodes]
+      .filter((n) => n !== root && !visibleNodes.has(n) && n.lastUsed < frame)
+      .sort((a, b) => a.lastUsed - b.lastUsed);
+
+    let excess = readyNodes.size - maxCachedTiles;
+    for (const node of candidates) {
+      if (excess-- <= 0) break;
+      unloadNode(node);
+    }
+  }
+
+  /**
+   * Pick the tiles to draw for this camera. Call once per frame.
+   */
+  function update(camera) {
+    if (!root || !camera) return;
+
+    frame++;
+    localCamera.copy(camera.position).sub(group.position);
+
+    visibleNodes.clear();
+    selectNode(root);
+
+    for (const node of readyNodes) {
+      node.mesh.visible = visibleNodes.has(node);
+    }
+
+    startPendingLoads();
+    evictUnused();
+  }
+
+  // -------------------------------------------------------------------
+  // Misc
+  // -------------------------------------------------------------------
+
+  function setVisible(v) {
+    if (group) group.visible = !!v;
+  }
+
+  function getStats() {
+    return {
+      ready: readyNodes.size,
+      visible: visibleNodes.size,
+      loading: activeLoads,
+    };
+  }
+
+  function disposeTiledTerrain() {
+    generation++;
+    activeLoads = 0;
+    pending = [];
+
+    for (const node of [...readyNodes]) unloadNode(node);
+    readyNodes.clear();
+    visibleNodes.clear();
+
+    if (group) {
+      scene.remove(group);
+      group = null;
+    }
+    if (material) {
+      material.dispose();
+      material = null;
+    }
+    terrainWorker.disposeWorker();
+    root = null;
+    tileset = null;
+  }
+
+  return {
+    initTiledTerrain,
+    placeRelativeTo,
+    update,
+    setShadowQuery,
+    setColorOptions,
+    setVisible,
+    getStats,
+    disposeTiledTerrain,
+    getTileset: () => tileset,
+  };
+}
@@ -0,0 +1,274 @@
+// src/composables/useTrackSource.js
+import { shallowRef } from "vue";
+import { normalizeReport, parseTrackMessage } from "@/utils/trackReports.js";
+
+/**
+ * Live aircraft tracks from a position-report feed.
+ *
+ * `transport` "auto" picks from the url: ws:// / wss:// use a WebSocket,
+ * http(s):// uses Server-Sent Events. "poll" fetches the url every
+ * `pollIntervalMs` instead (dump1090 aircraft.json). Messages are parsed by
+ * `parseMessage` (default trackReports.parseTrackMessage, see
+ * adsbParsers.createFeedParser for SBS-1 / aircraft.json) into reports that
+ * are upserted by id. With no url the source is local only: push reports
+ * with upsertReports().
+ *
+ * Connection drops are retried with exponential backoff. Tracks without a
+ * report for `staleAfterMs` are flagged `stale`, and removed after
+ * `dropAfterMs`.
+ *
+ * Exposes:
+ *  - tracks: shallowRef([{ ...report, lastUpdate, stale }]), replaced on
+ *    every change (feed it straight to usePlanes.syncPlanes / LeafletMap)
+ *  - status: shallowRef("idle" | "connecting" | "open" | "reconnecting" | "closed")
+ *
+ * Parent responsibilities:
+ *  - call connect() (if a url is set) and disposeTrackSource() on unmount
+ */
+export function useTrackSource({
+  url = null,
+  transport = "auto", // "auto" | "websocket" | "sse" | "poll"
+  parseMessage = parseTrackMessage,
+  pollIntervalMs = 1_000,
+  reconnectDelayMs = 1_000,
+  maxReconnectDelayMs = 15_000,
+  staleAfterMs = 15_000,
+  dropAfterMs = 60_000,
+  sweepIntervalMs = 1_000,
+} = {}) {
+  const tracks = shallowRef([]);
+  const status = shallowRef("idle");
+
+  const byId = new Map(); // id -> track
+
+  let socket = null; // WebSocket or EventSource
+  let pollTimer = null;
+  let pollController = null; // AbortController of the request in flight
+  let reconnectTimer = null;
+  let reconnectAttempt = 0;
+  let sweepTimer = null;
+  let wanted = false; // connect() called and not disconnected since
+
+  function publish() {
+    tracks.value = [...byId.values()];
+  }
+
+  // -------------------------------------------------------------------
+  // Track store
+  // -------------------------------------------------------------------
+
+  /**
+   * Upsert position reports (raw or already normalized) by id.
+   */
+  function upsertReports(reports, now = Date.now()) {
+    let changed = false;
+
+    for (const raw of reports) {
+      const report = normalizeReport(raw);
+      if (!report) continue;
+
+      // keep last known values the report left out
+      const track = { ...byId.get(report.id) };
+      for (const key in report) {
+        if (report[key] != null || !(key in track)) track[key] = report[key];
+      }
+      track.lastUpdate = now;
+      track.stale = false;
+      byId.set(report.id, track);
+      changed = true;
+    }
+
+    if (changed) publish();
+    ensureSweep();
+  }
+
+  function removeTracks(ids) {
+    let changed = false;
+    for (const id of ids) changed = byId.delete(id) || changed;
+    if (changed) publish();
+  }
+
+  function clearTracks() {
+    byId.clear();
+    publish();
+  }
+
+  // Flag stale tracks, drop dead ones
+  function sweep(now = Date.now()) {
+    let changed = false;
+
+    for (const [id, track] of byId) {
+      const age = now - track.lastUpdate;
+      if (age > dropAfterMs) {
+        byId.delete(id);
+        changed = true;
+      } else if (!track.stale && age > staleAfterMs) {
+        byId.set(id, { ...track, stale: true });
+        changed = true;
+      }
+    }
+
+    if (changed) publish();
+  }
+
+  function ensureSweep() {
+    if (sweepTimer || !byId.size) return;
+    sweepTimer = setInterval(() => {
+      sweep();
+      if (!byId.size) {
+        clearInterval(sweepTimer);
+        sweepTimer = null;
+      }
+    }, sweepIntervalMs);
+  }
+
+  // -------------------------------------------------------------------
+  // Transport
+  // -------------------------------------------------------------------
+
+  function handleMessage(text) {
+    let parsed;
+    try {
+      parsed = parseMessage(text);
+    } catch (err) {
+      console.warn("useTrackSource: dropped message:", err.message);
+      return;
+    }
+    if (parsed.removed?.length) removeTracks(parsed.removed);
+    if (parsed.reports?.length) upsertReports(parsed.reports);
+  }
+
+  function onOpen() {
+    reconnectAttempt = 0;
+    status.value = "open";
+  }
+
+  function onDrop() {
+    closeSocket();
+    if (!wanted) return;
+
+    status.value = "reconnecting";
+    const delay = Math.min(
+      reconnectDelayMs * 2 ** reconnectAttempt,
+      maxReconnectDelayMs
+    );
+    reconnectAttempt++;
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      open();
+    }, delay);
+  }
+
+  function resolvedTransport() {
+    if (transport !== "auto") return transport;
+    return /^wss?:/i.test(url) ? "websocket" : "sse";
+  }
+
+  async function poll() {
+    pollTimer = null;
+    pollController = new AbortController();
+    try {
+      const res = await fetch(url, {
+        cache: "no-store",
+        signal: pollController.signal,
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const text = await res.text();
+      if (!wanted) return;
+      onOpen();
+      handleMessage(text);
+    } catch (err) {
+      if (!wanted) return;
+      console.warn("useTrackSource: poll failed:", err.message);
+      onDrop();
+      return;
+    } finally {
+      pollController = null;
+    }
+    pollTimer = setTimeout(poll, pollIntervalMs);
+  }
+
+  function open() {
+    status.value = reconnectAttempt ? "reconnecting" : "connecting";
+    const kind = resolvedTransport();
+
+    if (kind === "poll") {
+      poll();
+    } else if (kind === "websocket") {
+      // binary frames (e.g. websockify bridging a TCP feed) are UTF-8 text
+      const decoder = new TextDecoder();
+      socket = new WebSocket(url);
+      socket.binaryType = "arraybuffer";
+      socket.onopen = onOpen;
+      socket.onmessage = (e) =>
+        handleMessage(
+          typeof e.data === "string"
+            ? e.data
+            : decoder.decode(e.data, { stream: true })
+        );
+      socket.onclose = onDrop;
+      // onclose normally follows an error, but not on every runtime;
+      // onDrop detaches the handlers so a drop is only handled once
+      socket.onerror = onDrop;
+    } else if (kind === "sse") {
+      socket = new EventSource(url);
+      socket.onopen = onOpen;
+      socket.onmessage = (e) => handleMessage(e.data);
+      // EventSource retries on its own with a fixed delay; use our backoff
+      socket.onerror = onDrop;
+    } else {
+      throw new Error(`useTrackSource: unknown transport "${transport}"`);
+    }
+  }
+
+  function closeSocket() {
+    if (pollTimer) {
+      clearTimeout(pollTimer);
+      pollTimer = null;
+    }
+    pollController?.abort();
+    if (!socket) return;
+    socket.onopen = socket.onmessage = socket.onclose = socket.onerror = null;
+    socket.close();
+    socket = null;
+  }
+
+  function connect() {
+    if (!url) throw new Error("useTrackSource: no url to connect to");
+    if (wanted) return;
+    wanted = true;
+    reconnectAttempt = 0;
+    open();
+  }
+
+  function disconnect() {
+    wanted = false;
+    if (reconnectTimer) {
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+    }
+    closeSocket();
+    status.value = "closed";
+  }
+
+  function disposeTrackSource() {
+    disconnect();
+    if (sweepTimer) {
+      clearInterval(sweepTimer);
+      sweepTimer = null;
+    }
+    byId.clear();
+    tracks.value = [];
+  }
+
+  return {
+    tracks,
+    status,
+    connect,
+    disconnect,
+    upsertReports,
+    removeTracks,
+    clearTracks,
+    disposeTrackSource,
+  };
+}
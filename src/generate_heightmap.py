@@ -15,6 +15,63 @@ def resolve_path(base_dir: Path, p: str) -> Path:
     pp = Path(p)
     return pp if pp.is_absolute() else (base_dir / pp).resolve()
 
+def write_tiles(src, dst_crs, tiles_cfg, base_dir, origin_lat, origin_lon,
+                size_m, center_e, center_n, nodata_out):
+    """Quadtree tile pyramid for useTiledTerrain.
+
+    Level z splits the size_m square into 2^z x 2^z tiles of `samples` x `samples`
+    (edges shared with neighbours), written as <out_dir>/{z}/{x}/{y}.bin with
+    x = column (west -> east) and y = row (north -> south), plus tileset.json.
+
+    Samples take the max of the source pixels they cover, so coarse levels
+    never shave peaks off (the tiles replace the max-pooled terrain.bin mesh).
+    """
+    samples = int(tiles_cfg.get("samples", 129))
+    max_level = int(tiles_cfg.get("max_level", 5))
+    out_dir = resolve_path(base_dir, tiles_cfg.get("out_dir", "../public/terrain_tiles"))
+
+    for z in range(max_level + 1):
+        n = 2 ** z
+        tile_size = size_m / n
+        pixel = tile_size / (samples - 1)
+
+        for ty in range(n):
+            for tx in range(n):
+                # same corner convention as the single grid in main()
+                x0 = center_e - size_m / 2.0 + tx * tile_size
+                y0 = center_n + size_m / 2.0 - ty * tile_size
+                dst_transform = Affine(pixel, 0, x0, 0, -pixel, y0)
+
+                dst = np.full((samples, samples), nodata_out, dtype=np.int16)
+                reproject(
+                    source=rasterio.band(src, 1),
+                    destination=dst,
+                    src_transform=src.transform,
+                    src_crs=src.crs,
+                    src_nodata=src.nodata,
+                    dst_transform=dst_transform,
+                    dst_crs=dst_crs,
+                    dst_nodata=nodata_out,
+                    resampling=Resampling.max,
+                )
+
+                tile_path = out_dir / str(z) / str(tx) / f"{ty}.bin"
+                tile_path.parent.mkdir(parents=True, exist_ok=True)
+                tile_path.write_bytes(dst.astype("<i2", copy=False).tobytes(order="C"))
+
+        print(f"Tiles: level {z} ({n}x{n})")
+
+    tileset = {
+        "origin": {"lat": origin_lat, "lon": origin_lon},
+        "grid": {"size_m": size_m},
+        "center_offset": {"east_m": center_e, "north_m": center_n},
+        "format": {"dtype": "int16", "endian": "little", "layout": "row-major"},
+        "nodata_out": nodata_out,
+        "tiles": {"samples": samples, "max_level": max_level, "path": "{z}/{x}/{y}.bin"},
+    }
+    (out_dir / "tileset.json").write_text(json.dumps(tileset, indent=2), encoding="utf-8")
+    print("Tileset:", out_dir / "tileset.json")
+
 def main():
     config_path = Path("terrain_request.json").resolve()
     cfg = load_config(config_path)
@@ -75,6 +132,11 @@ def main():
             resampling=Resampling.nearest,  # change to bilinear later if you want smoothing
         )
 
+        # Optional LOD pyramid for useTiledTerrain
+        if "tiles" in cfg:
+            write_tiles(src, dst_crs, cfg["tiles"], base_dir, origin_lat, origin_lon,
+                        size_m, center_e, center_n, nodata_out)
+
     # Write binary little-endian int16, row-major
     out_bin.write_bytes(dst.astype("<i2", copy=False).tobytes(order="C"))
 
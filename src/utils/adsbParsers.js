@@ -0,0 +1,324 @@
+// src/utils/adsbParsers.js
+import { parseTrackMessage } from "@/utils/trackReports.js";
+
+/**
+ * Parsers for real ADS-B sources, producing trackReports-style reports
+ * (meters, m/s, degrees) keyed by ICAO address:
+ *
+ *  - SBS-1 / BaseStation CSV (dump1090 port 30003): one "MSG" line per
+ *    decoded Mode S message, each carrying only some fields, so lines are
+ *    merged per aircraft and a report goes out whenever a position arrives.
+ *  - dump1090 / readsb `aircraft.json`: a snapshot of every aircraft seen;
+ *    aircraft missing from the next snapshot are reported as removed.
+ *
+ * createSbsParser() / createDump1090Parser() return stateful
+ * `parseMessage(text) -> { reports, removed }` functions for useTrackSource.
+ */
+
+export const FEET_TO_METERS = 0.3048;
+export const KNOTS_TO_MPS = 1852 / 3600;
+export const FPM_TO_MPS = FEET_TO_METERS / 60;
+
+function numberOrNull(value) {
+  if (value == null || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function scaled(value, factor) {
+  const n = numberOrNull(value);
+  return n == null ? null : n * factor;
+}
+
+function trimmedOrNull(value) {
+  if (value == null) return null;
+  const s = String(value).trim();
+  return s || null;
+}
+
+// SBS flags are "-1" / "1" for true, "0" for false, empty when not sent
+function sbsFlag(value) {
+  if (value == null || value === "") return null;
+  return value !== "0";
+}
+
+// -------------------------------------------------------------------
+// Per-aircraft merging
+// -------------------------------------------------------------------
+
+/**
+ * Merges partial aircraft updates `{ icao, ...fields }` (null = not in this
+ * message) into one state per ICAO address.
+ *
+ * merge(partial) returns a full report when the update carries a position
+ * (lat / lng), else null: velocity, altitude and callsign updates ride
+ * along with the next position. prune() forgets aircraft not heard from
+ * for a while, for feeds that never say an aircraft is gone.
+ */
+export function createAircraftMerger() {
+  const byIcao = new Map(); // icao -> merged state
+  const heardAt = new Map(); // icao -> ms of its last update
+
+  function merge(partial, now = Date.now()) {
+    const icao = partial.icao;
+    if (!icao) return null;
+
+    const state = byIcao.get(icao) ?? { icao };
+    for (const key in partial) {
+      if (partial[key] != null) state[key] = partial[key];
+    }
+    byIcao.set(icao, state);
+    heardAt.set(icao, now);
+
+    if (partial.lat == null || partial.lng == null) return null;
+
+    return {
+      id: icao,
+      icao,
+      lat: state.lat,
+      lng: state.lng,
+      alt: state.alt ?? null,
+      heading: state.heading ?? null,
+      speed: state.speed ?? null,
+      verticalRate: state.verticalRate ?? null,
+      callsign: state.callsign ?? null,
+      squawk: state.squawk ?? null,
+      onGround: state.onGround ?? null,
+      category: state.category ?? null,
+      time: partial.time ?? now,
+    };
+  }
+
+  // Forget aircraft without an update for more than `maxAgeMs`
+  function prune(maxAgeMs, now = Date.now()) {
+    for (const [icao, time] of heardAt) {
+      if (now - time > maxAgeMs) forget(icao);
+    }
+  }
+
+  function forget(icao) {
+    byIcao.delete(icao);
+    heardAt.delete(icao);
+  }
+
+  return {
+    merge,
+    prune,
+    forget,
+    clear: () => {
+      byIcao.clear();
+      heardAt.clear();
+    },
+    get: (icao) => byIcao.get(icao) ?? null,
+    icaos: () => [...byIcao.keys()],
+  };
+}
+
+// -------------------------------------------------------------------
+// SBS-1 / BaseStation
+// -------------------------------------------------------------------
+
+// MSG field indices
+const SBS = {
+  TYPE: 0,
+  TRANSMISSION: 1,
+  ICAO: 4,
+  CALLSIGN: 10,
+  ALTITUDE: 11, // ft
+  GROUND_SPEED: 12, // kt
+  TRACK: 13, // deg
+  LAT: 14,
+  LNG: 15,
+  VERTICAL_RATE: 16, // ft/min
+  SQUAWK: 17,
+  ON_GROUND: 21,
+};
+
+/**
+ * One SBS-1 line -> partial update `{ icao, ... }` with only the fields the
+ * message carried, or null for non-MSG lines (SEL, ID, AIR, STA, CLK) and
+ * malformed ones. Position, altitude, speed and callsign are taken from
+ * whatever fields are filled, whatever the transmission type.
+ */
+export function parseSbsLine(line) {
+  const f = line.trim().split(",");
+  if (f[SBS.TYPE] !== "MSG" || f.length < 11) return null;
+
+  const icao = trimmedOrNull(f[SBS.ICAO])?.toUpperCase();
+  if (!icao || !/^~?[0-9A-F]{6}$/.test(icao)) return null;
+
+  const lat = numberOrNull(f[SBS.LAT]);
+  const lng = numberOrNull(f[SBS.LNG]);
+  const hasPosition =
+    lat != null && lng != null && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+
+  return {
+    icao,
+    transmission: numberOrNull(f[SBS.TRANSMISSION]),
+    callsign: trimmedOrNull(f[SBS.CALLSIGN]),
+    alt: scaled(f[SBS.ALTITUDE], FEET_TO_METERS),
+    speed: scaled(f[SBS.GROUND_SPEED], KNOTS_TO_MPS),
+    heading: numberOrNull(f[SBS.TRACK]),
+    lat: hasPosition ? lat : null,
+    lng: hasPosition ? lng : null,
+    verticalRate: scaled(f[SBS.VERTICAL_RATE], FPM_TO_MPS),
+    squawk: trimmedOrNull(f[SBS.SQUAWK]),
+    onGround: sbsFlag(f[SBS.ON_GROUND]),
+  };
+}
+
+/**
+ * parseMessage for an SBS-1 stream. Chunks don't have to end on a line
+ * boundary: an unfinished last line is kept until the next call.
+ * The stream never reports an aircraft gone, so merged state is dropped
+ * after `forgetAfterMs` without a message (useTrackSource's dropAfterMs).
+ */
+export function createSbsParser({
+  merger = createAircraftMerger(),
+  forgetAfterMs = 60_000,
+} = {}) {
+  let pending = "";
+  let lastPrune = 0;
+
+  return function parseSbsMessage(text) {
+    const lines = (pending + text).split(/\r?\n/);
+    pending = lines.pop();
+
+    const now = Date.now();
+    if (now - lastPrune >= 1_000) {
+      merger.prune(forgetAfterMs, now);
+      lastPrune = now;
+    }
+
+    const reports = [];
+    for (const line of lines) {
+      const partial = parseSbsLine(line);
+      if (!partial) continue;
+      const report = merger.merge(partial);
+      if (report) reports.push(report);
+    }
+    return { reports, removed: [] };
+  };
+}
+
+// -------------------------------------------------------------------
+// dump1090 aircraft.json
+// -------------------------------------------------------------------
+
+/**
+ * One aircraft.json entry -> partial update. Handles both the readsb /
+ * dump1090-fa names (alt_baro, gs, baro_rate) and the older dump1090 ones
+ * (altitude, speed, vert_rate). `nowSeconds` is the file's `now`, used with
+ * `seen_pos` to date the position.
+ */
+export function parseDump1090Aircraft(entry, nowSeconds = null) {
+  const icao = trimmedOrNull(entry?.hex)?.toUpperCase();
+  if (!icao) return null;
+
+  const altFeet = entry.alt_baro ?? entry.altitude ?? entry.alt_geom;
+  const onGround = altFeet == null ? null : altFeet === "ground";
+
+  let time = null;
+  const seenPos = numberOrNull(entry.seen_pos);
+  if (nowSeconds != null && seenPos != null) {
+    time = (nowSeconds - seenPos) * 1000;
+  }
+
+  const lat = numberOrNull(entry.lat);
+  const lng = numberOrNull(entry.lon);
+
+  return {
+    icao,
+    callsign: trimmedOrNull(entry.flight),
+    alt: onGround ? 0 : scaled(altFeet, FEET_TO_METERS),
+    speed: scaled(entry.gs ?? entry.speed, KNOTS_TO_MPS),
+    heading: numberOrNull(entry.track ?? entry.true_heading),
+    lat: lat != null && lng != null ? lat : null,
+    lng: lat != null && lng != null ? lng : null,
+    verticalRate: scaled(
+      entry.baro_rate ?? entry.geom_rate ?? entry.vert_rate,
+      FPM_TO_MPS
+    ),
+    squawk: trimmedOrNull(entry.squawk),
+    onGround,
+    category: trimmedOrNull(entry.category)?.toUpperCase() ?? null,
+    time,
+  };
+}
+
+const REPEAT_TOLERANCE_MS = 250;
+
+/**
+ * parseMessage for aircraft.json snapshots (text or parsed object).
+ * Positions older than `maxPositionAgeSeconds` are not reported, and
+ * aircraft that left the snapshot come back in `removed`.
+ */
+export function createDump1090Parser({
+  merger = createAircraftMerger(),
+  maxPositionAgeSeconds = 60,
+} = {}) {
+  let present = new Set(); // icaos in the previous snapshot
+
+  return function parseDump1090Message(text) {
+    let json = text;
+    if (typeof text === "string") {
+      try {
+        json = JSON.parse(text);
+      } catch (err) {
+        throw new Error(
+          `adsbParsers: aircraft.json is not valid JSON (${err.message})`
+        );
+      }
+    }
+    if (!Array.isArray(json?.aircraft)) {
+      throw new Error("adsbParsers: aircraft.json has no aircraft list");
+    }
+
+    const nowSeconds = numberOrNull(json.now) ?? Date.now() / 1000;
+    const reports = [];
+    const next = new Set();
+
+    for (const entry of json.aircraft) {
+      const partial = parseDump1090Aircraft(entry, nowSeconds);
+      if (!partial) continue;
+      next.add(partial.icao);
+
+      // only report positions that are recent and new since the last
+      // snapshot (times are `now - seen_pos`, rounded to 0.1 s upstream)
+      const prevTime = merger.get(partial.icao)?.time;
+      const repeated =
+        partial.time != null &&
+        prevTime != null &&
+        Math.abs(partial.time - prevTime) < REPEAT_TOLERANCE_MS;
+      if (repeated || numberOrNull(entry.seen_pos) > maxPositionAgeSeconds) {
+        partial.lat = partial.lng = null;
+        partial.time = null;
+      }
+      const report = merger.merge(partial);
+      if (report) reports.push(report);
+    }
+
+    const removed = [...present].filter((icao) => !next.has(icao));
+    for (const icao of removed) merger.forget(icao);
+    present = next;
+
+    return { reports, removed };
+  };
+}
+
+/**
+ * parseMessage for a feed format name: "json" (trackReports messages),
+ * "sbs" or "dump1090".
+ */
+export function createFeedParser(format = "json") {
+  switch (format) {
+    case "json":
+      return parseTrackMessage;
+    case "sbs":
+      return createSbsParser();
+    case "dump1090":
+      return createDump1090Parser();
+    default:
+      throw new Error(`adsbParsers: unknown feed format "${format}"`);
+  }
+}
@@ -0,0 +1,132 @@
+// src/utils/aircraftModels.js
+import * as THREE from "three";
+import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
+
+/**
+ * 3D model registry for aircraft, keyed by a coarse category. Reports carry
+ * either an ADS-B emitter category ("A3", see DO-260B 2.2.3.2.5.2) or one
+ * of the category names directly; aircraftCategory() maps both.
+ *
+ * An entry is null (draw the fallback cube) or
+ *   {
+ *     url,        // glTF / glb
+ *     rotation,   // [x, y, z] degrees turning the model nose-forward
+ *                 // along glTF +Z and up along +Y, default none
+ *     scale,      // size relative to the other models, default 1
+ *   }
+ * Models are normalized on load, so their own units don't matter.
+ */
+export const AIRCRAFT_CATEGORIES = [
+  "jet",
+  "turboprop",
+  "helicopter",
+  "uav",
+  "unknown",
+];
+
+const MODELS_URL = `${import.meta.env.BASE_URL}models/`;
+
+export const DEFAULT_AIRCRAFT_MODELS = {
+  jet: { url: `${MODELS_URL}simple_plane_with_purple_sphere.glb` },
+  turboprop: {
+    url: `${MODELS_URL}simple_plane_with_purple_sphere.glb`,
+    scale: 0.7,
+  },
+  helicopter: null,
+  uav: null,
+  unknown: null,
+};
+
+// ADS-B emitter categories (set A: aircraft, set B: other airborne)
+const EMITTER_CATEGORIES = {
+  A1: "turboprop", // light, < 15 500 lb
+  A2: "turboprop", // small, < 75 000 lb
+  A3: "jet", // large
+  A4: "jet", // high vortex large (B757)
+  A5: "jet", // heavy
+  A6: "jet", // high performance
+  A7: "helicopter", // rotorcraft
+  B6: "uav",
+};
+
+/**
+ * Report category -> registry key, "unknown" when missing or unmapped.
+ */
+export function aircraftCategory(category) {
+  if (!category) return "unknown";
+  const name = String(category).trim();
+  const lower = name.toLowerCase();
+  if (AIRCRAFT_CATEGORIES.includes(lower)) return lower;
+  return EMITTER_CATEGORIES[name.toUpperCase()] ?? "unknown";
+}
+
+const loader = new GLTFLoader();
+const gltfByUrl = new Map(); // url -> Promise<gltf>, shared by categories
+
+/**
+ * Load a registry entry as instancing-ready parts:
+ *   Promise<[{ geometry, material }]>, one per mesh in the file
+ * Mesh transforms are baked into fresh geometries, which are turned nose
+ * along -Z (the scene's heading 0 = north), centered on their bounding box
+ * and scaled so the longest side is `entry.scale`. Materials are clones,
+ * transparent so instances can fade.
+ */
+export async function loadAircraftModel(entry) {
+  let pending = gltfByUrl.get(entry.url);
+  if (!pending) {
+    pending = loader.loadAsync(entry.url);
+    gltfByUrl.set(entry.url, pending);
+    pending.catch(() => gltfByUrl.delete(entry.url));
+  }
+  const gltf = await pending;
+
+  const [rx, ry, rz] = (entry.rotation ?? [0, 0, 0]).map(
+    THREE.MathUtils.degToRad
+  );
+  // glTF noses point along +Z
+  const turn = new THREE.Matrix4()
+    .makeRotationY(Math.PI)
+    .multiply(
+      new THREE.Matrix4().makeRotationFromEuler(new THREE.Euler(rx, ry, rz))
+    );
+
+  const root = gltf.scene;
+  root.updateMatrixWorld(true);
+
+  const parts = [];
+  const bounds = new THREE.Box3();
+  const matrix = new THREE.Matrix4();
+  root.traverse((obj) => {
+    if (!obj.isMesh) return;
+    matrix.multiplyMatrices(turn, obj.matrixWorld);
+    const geometry = obj.geometry.clone().applyMatrix4(matrix);
+    geometry.computeBoundingBox();
+    bounds.union(geometry.boundingBox);
+
+    const material = Array.isArray(obj.material)
+      ? obj.material.map(transparentClone)
+      : transparentClone(obj.material);
+    parts.push({ geometry, material });
+  });
+  if (!parts.length) {
+    throw new Error(`aircraftModels: no meshes in ${entry.url}`);
+  }
+
+  const size = bounds.getSize(new THREE.Vector3());
+  const center = bounds.getCenter(new THREE.Vector3());
+  const k = (entry.scale ?? 1) / Math.max(size.x, size.y, size.z, 1e-9);
+  const normalize = new THREE.Matrix4()
+    .makeScale(k, k, k)
+    .multiply(
+      new THREE.Matrix4().makeTranslation(-center.x, -center.y, -center.z)
+    );
+  for (const { geometry } of parts) geometry.applyMatrix4(normalize);
+
+  return parts;
+}
+
+function transparentClone(material) {
+  const clone = material.clone();
+  clone.transparent = true;
+  return clone;
+}
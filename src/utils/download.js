@@ -0,0 +1,16 @@
+// src/utils/download.js
+
+/**
+ * Save text as a file through the browser's download prompt.
+ */
+export function downloadText(filename, text, type = "text/plain") {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // revoking right away can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,84 @@
+// src/utils/earthCurvatureMaterial.js
+
+/**
+ * Shader patches for the curved-earth display (see geodesy.createEarthModel).
+ * The sensor sits at world X/Z = 0 and scene Y is meters * altScale, so the
+ * sea-level surface at world X/Z is at
+ *   y = -(x^2 + z^2) / (2 * effectiveRadius) * altScale.
+ * With a flat model both helpers leave the material untouched.
+ *
+ * They work on the built-in "basic" shaders (MeshBasicMaterial,
+ * LineBasicMaterial) and replace any existing onBeforeCompile.
+ */
+
+function dropScale(earth, altScale) {
+  return altScale / (2 * earth.effectiveRadius);
+}
+
+/**
+ * Lower every vertex by the curvature drop at its world X/Z. Meant for
+ * terrain meshes, which are only ever translated (no rotation / scale), so
+ * the world-space drop can be applied to the local position directly.
+ * Bounding volumes don't know about the drop: turn frustum culling off on
+ * meshes using the material.
+ */
+export function applyEarthDrop(material, earth, altScale = 1) {
+  if (!earth?.curved) return material;
+
+  const scale = dropScale(earth, altScale);
+  material.onBeforeCompile = (shader) => {
+    shader.uniforms.uEarthDropScale = { value: scale };
+    shader.vertexShader = shader.vertexShader
+      .replace(
+        "#include <common>",
+        "#include <common>\nuniform float uEarthDropScale;"
+      )
+      .replace(
+        "#include <begin_vertex>",
+        `#include <begin_vertex>
+        {
+          vec4 earthWorld = modelMatrix * vec4(transformed, 1.0);
+          transformed.y -= dot(earthWorld.xz, earthWorld.xz) * uEarthDropScale;
+        }`
+      );
+  };
+  material.customProgramCacheKey = () => `earth-drop:${scale}`;
+  material.needsUpdate = true;
+  return material;
+}
+
+/**
+ * Discard fragments below the curved sea-level surface: the curved-earth
+ * replacement for clipping a volume (the coverage cone) at the y = 0 plane.
+ */
+export function discardBelowEarth(material, earth, altScale = 1) {
+  if (!earth?.curved) return material;
+
+  const scale = dropScale(earth, altScale);
+  material.onBeforeCompile = (shader) => {
+    shader.uniforms.uEarthDropScale = { value: scale };
+    shader.vertexShader = shader.vertexShader
+      .replace(
+        "#include <common>",
+        "#include <common>\nvarying vec3 vEarthWorld;"
+      )
+      .replace(
+        "#include <project_vertex>",
+        `#include <project_vertex>
+        vEarthWorld = (modelMatrix * vec4(transformed, 1.0)).xyz;`
+      );
+    shader.fragmentShader = shader.fragmentShader
+      .replace(
+        "#include <common>",
+        "#include <common>\nuniform float uEarthDropScale;\nvarying vec3 vEarthWorld;"
+      )
+      .replace(
+        "void main() {",
+        `void main() {
+        if (vEarthWorld.y < -dot(vEarthWorld.xz, vEarthWorld.xz) * uEarthDropScale) discard;`
+      );
+  };
+  material.customProgramCacheKey = () => `earth-discard:${scale}`;
+  material.needsUpdate = true;
+  return material;
+}
@@ -0,0 +1,229 @@
+// src/utils/geoExport.js
+import { vincentyDirect } from "@/utils/geodesy.js";
+
+/**
+ * The scene as GIS data: aircraft positions, their trails and the coverage
+ * footprint as a GeoJSON FeatureCollection (coordinates [lng, lat, alt],
+ * alt in meters above sea level), convertible to KML.
+ *
+ * Features carry `properties.kind`: "aircraft" (Point), "trail"
+ * (LineString with `coordTimes`, ISO times per vertex, as GIS tools write
+ * them for GPS tracks) or "coverage" (Polygon).
+ */
+
+function isoTime(ms) {
+  return ms != null && Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+}
+
+/**
+ * Where the radar envelope (see useCoverage.getEnvelope) crosses the
+ * sensor's horizontal plane, out to `rangeMeters`: the azimuth sector as a
+ * closed ring of [lng, lat] points. Null when the elevation span
+ * [lowerDeg, upperDeg] doesn't include the horizon.
+ */
+export function coverageFootprint({
+  origin,
+  azimuthDeg,
+  azimuthWidthDeg,
+  lowerDeg = 0,
+  upperDeg = 0,
+  rangeMeters,
+  stepDeg = 2,
+}) {
+  if (lowerDeg > 0 || upperDeg < 0) return null;
+  const halfWidth = Math.min(azimuthWidthDeg, 360) / 2;
+
+  const ring = [];
+  const full = halfWidth >= 180;
+  if (!full) ring.push([origin.lng, origin.lat]);
+
+  const from = full ? 0 : azimuthDeg - halfWidth;
+  const to = full ? 360 : azimuthDeg + halfWidth;
+  const steps = Math.max(2, Math.ceil((to - from) / stepDeg));
+  for (let i = 0; i <= steps; i++) {
+    const bearing = from + ((to - from) * i) / steps;
+    const p = vincentyDirect(origin.lat, origin.lng, bearing, rangeMeters);
+    ring.push([p.lng, p.lat]);
+  }
+  ring.push([...ring[0]]);
+  return ring;
+}
+
+/**
+ * FeatureCollection of
+ *   planes:     tracks as the track source has them
+ *   trails:     [{ id, label, points: [{ time, lat, lng, alt }] }]
+ *   coverages:  [{ ring (see coverageFootprint), altitude, name?,
+ *                 ...properties }], one per sensor; null rings are skipped
+ */
+export function buildSceneFeatures({
+  planes = [],
+  trails = [],
+  coverages = [],
+}) {
+  const features = [];
+
+  for (const plane of planes) {
+    features.push({
+      type: "Feature",
+      geometry: {
+        type: "Point",
+        coordinates: [plane.lng, plane.lat, plane.alt ?? 0],
+      },
+      properties: {
+        kind: "aircraft",
+        id: plane.id,
+        name: plane.callsign ?? plane.id,
+        callsign: plane.callsign ?? null,
+        category: plane.category ?? null,
+        heading: plane.heading ?? null,
+        speed: plane.speed ?? null,
+        verticalRate: plane.verticalRate ?? null,
+        time: isoTime(plane.time ?? plane.lastUpdate),
+        stale: !!plane.stale,
+        ...(plane.visibility ? { visibility: plane.visibility } : {}),
+        ...(plane.detectedBy != null ? { detectedBy: plane.detectedBy } : {}),
+      },
+    });
+  }
+
+  for (const trail of trails) {
+    if (trail.points.length < 2) continue;
+    features.push({
+      type: "Feature",
+      geometry: {
+        type: "LineString",
+        coordinates: trail.points.map((p) => [p.lng, p.lat, p.alt]),
+      },
+      properties: {
+        kind: "trail",
+        id: trail.id,
+        name: trail.label ?? trail.id,
+        coordTimes: trail.points.map((p) => isoTime(p.time)),
+      },
+    });
+  }
+
+  for (const coverage of coverages) {
+    if (!coverage.ring) continue;
+    const { ring, altitude = 0, ...properties } = coverage;
+    features.push({
+      type: "Feature",
+      geometry: {
+        type: "Polygon",
+        coordinates: [ring.map(([lng, lat]) => [lng, lat, altitude])],
+      },
+      properties: { kind: "coverage", name: "Coverage", ...properties },
+    });
+  }
+
+  return { type: "FeatureCollection", features };
+}
+
+// -------------------------------------------------------------------
+// KML
+// -------------------------------------------------------------------
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function kmlCoordinates(coords) {
+  return coords.map(([lng, lat, alt = 0]) => `${lng},${lat},${alt}`).join(" ");
+}
+
+function kmlExtendedData(properties, skip) {
+  const rows = Object.entries(properties)
+    .filter(([key, value]) => !skip.includes(key) && value != null)
+    .map(
+      ([key, value]) =>
+        `<Data name="${escapeXml(key)}"><value>${escapeXml(
+          value
+        )}</value></Data>`
+    );
+  return rows.length ? `<ExtendedData>${rows.join("")}</ExtendedData>` : "";
+}
+
+// Aircraft and trails at their altitude above sea level ("absolute"), the
+// footprint draped on the terrain ("clampToGround")
+function kmlPlacemark(feature) {
+  const { geometry, properties } = feature;
+  const name = `<name>${escapeXml(properties.name ?? "")}</name>`;
+  const style = `<styleUrl>#${properties.kind}</styleUrl>`;
+
+  let body = "";
+  let extra = "";
+  if (geometry.type === "Point") {
+    body =
+      "<Point><altitudeMode>absolute</altitudeMode>" +
+      `<coordinates>${kmlCoordinates([geometry.coordinates])}</coordinates>` +
+      "</Point>";
+    if (properties.time) {
+      extra = `<TimeStamp><when>${properties.time}</when></TimeStamp>`;
+    }
+  } else if (geometry.type === "LineString") {
+    body =
+      "<LineString><altitudeMode>absolute</altitudeMode>" +
+      `<coordinates>${kmlCoordinates(geometry.coordinates)}</coordinates>` +
+      "</LineString>";
+    const times = properties.coordTimes?.filter(Boolean) ?? [];
+    if (times.length) {
+      extra = `<TimeSpan><begin>${times[0]}</begin><end>${
+        times[times.length - 1]
+      }</end></TimeSpan>`;
+    }
+  } else if (geometry.type === "Polygon") {
+    body =
+      "<Polygon><tessellate>1</tessellate>" +
+      "<altitudeMode>clampToGround</altitudeMode>" +
+      "<outerBoundaryIs><LinearRing><coordinates>" +
+      kmlCoordinates(geometry.coordinates[0]) +
+      "</coordinates></LinearRing></outerBoundaryIs></Polygon>";
+  }
+
+  const data = kmlExtendedData(properties, ["name", "coordTimes"]);
+  return `<Placemark>${name}${extra}${style}${data}${body}</Placemark>`;
+}
+
+const KML_STYLES = [
+  '<Style id="aircraft"><IconStyle><color>ff00ccff</color></IconStyle></Style>',
+  '<Style id="trail"><LineStyle><color>cc00ccff</color><width>2</width></LineStyle></Style>',
+  '<Style id="coverage"><LineStyle><color>ff0000ff</color></LineStyle>' +
+    "<PolyStyle><color>330000ff</color></PolyStyle></Style>",
+];
+
+const KML_FOLDERS = [
+  ["aircraft", "Aircraft"],
+  ["trail", "Trails"],
+  ["coverage", "Coverage"],
+];
+
+/**
+ * FeatureCollection from buildSceneFeatures() -> KML document text.
+ */
+export function featuresToKml(collection, name = "Flight radar export") {
+  const folders = KML_FOLDERS.map(([kind, label]) => {
+    const placemarks = collection.features
+      .filter((f) => f.properties?.kind === kind)
+      .map(kmlPlacemark);
+    return placemarks.length
+      ? `<Folder><name>${label}</name>\n${placemarks.join("\n")}\n</Folder>`
+      : "";
+  }).filter(Boolean);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    "<Document>",
+    `<name>${escapeXml(name)}</name>`,
+    ...KML_STYLES,
+    ...folders,
+    "</Document>",
+    "</kml>",
+    "",
+  ].join("\n");
+}
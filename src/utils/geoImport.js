@@ -0,0 +1,348 @@
+// src/utils/geoImport.js
+import { vincentyInverse } from "@/utils/geodesy.js";
+import { SESSION_VERSION } from "@/utils/sessionRecording.js";
+
+/**
+ * GeoJSON / KML line strings as replayable aircraft tracks.
+ *
+ * Each LineString (GeoJSON LineString / MultiLineString, KML LineString or
+ * gx:Track) becomes one aircraft:
+ *   { id, callsign, category, points: [{ lat, lng, alt }], times: [ms] }
+ * Times come from GeoJSON `properties.coordTimes` / `times` (ISO strings
+ * or ms) or KML gx:Track <when>; lines without them are flown at
+ * `properties.speed` (m/s) or `defaultSpeed`, starting at `startTime`.
+ *
+ * Altitudes are meters. KML "clampToGround" lines (the KML default) are put
+ * at 0; "relativeToGround" heights are taken as above sea level, since the
+ * terrain under an imported line isn't known here.
+ *
+ * tracksToSession() turns the tracks into a recorded session (see
+ * sessionRecording.js), so they play back through useSessionPlayback.
+ */
+
+function parseTime(value) {
+  if (typeof value === "number" && Number.isFinite(value)) return value;
+  if (typeof value !== "string") return null;
+  const ms = Date.parse(value);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+function finiteOr(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function positiveOr(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+// [ms] matching `count` vertices, or null
+function vertexTimes(values, count) {
+  if (!Array.isArray(values) || values.length !== count) return null;
+  const times = values.map(parseTime);
+  return times.every((t) => t != null) ? times : null;
+}
+
+// Fill in times for a line without them at `speed` m/s
+function timesAlong(points, speed, startTime) {
+  const times = [startTime];
+  for (let i = 1; i < points.length; i++) {
+    const { distance } = vincentyInverse(
+      points[i - 1].lat,
+      points[i - 1].lng,
+      points[i].lat,
+      points[i].lng
+    );
+    times.push(times[i - 1] + (distance / speed) * 1000);
+  }
+  return times;
+}
+
+// Drop vertices that don't move forward in time
+function orderedTrack(track) {
+  const points = [];
+  const times = [];
+  track.points.forEach((p, i) => {
+    if (times.length && track.times[i] <= times[times.length - 1]) return;
+    points.push(p);
+    times.push(track.times[i]);
+  });
+  return points.length >= 2 ? { ...track, points, times } : null;
+}
+
+function makeTrack(raw, { defaultSpeed, startTime }) {
+  const points = raw.coords
+    .map(([lng, lat, alt]) => ({
+      lat: Number(lat),
+      lng: Number(lng),
+      alt: finiteOr(alt, 0),
+    }))
+    .filter((p) => Number.isFinite(p.lat) && Number.isFinite(p.lng));
+  if (points.length < 2) return null;
+
+  const times =
+    (raw.times && points.length === raw.coords.length ? raw.times : null) ??
+    timesAlong(points, positiveOr(raw.speed, defaultSpeed), startTime);
+
+  return orderedTrack({
+    id: raw.id,
+    callsign: raw.callsign ?? null,
+    category: raw.category ?? null,
+    points,
+    times,
+  });
+}
+
+// Unique ids: "name", "name-2", ...
+function uniqueIds(tracks) {
+  const used = new Map();
+  for (const track of tracks) {
+    const n = (used.get(track.id) ?? 0) + 1;
+    used.set(track.id, n);
+    if (n > 1) track.id = `${track.id}-${n}`;
+  }
+  return tracks;
+}
+
+// -------------------------------------------------------------------
+// GeoJSON
+// -------------------------------------------------------------------
+
+/**
+ * GeoJSON text -> tracks. Throws on invalid JSON; features that are not
+ * lines are skipped.
+ */
+export function parseGeoJsonTracks(
+  text,
+  { defaultSpeed = 200, startTime = Date.now() } = {}
+) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`geoImport: not valid JSON (${err.message})`);
+  }
+
+  const features =
+    raw?.type === "FeatureCollection"
+      ? raw.features ?? []
+      : raw?.type === "Feature"
+      ? [raw]
+      : [{ type: "Feature", geometry: raw, properties: {} }];
+
+  const lines = [];
+  features.forEach((feature, index) => {
+    const geometry = feature?.geometry;
+    const props = feature?.properties ?? {};
+    const parts =
+      geometry?.type === "LineString"
+        ? [geometry.coordinates]
+        : geometry?.type === "MultiLineString"
+        ? geometry.coordinates
+        : [];
+
+    const baseId = String(
+      props.id ?? props.callsign ?? props.name ?? `track-${index + 1}`
+    );
+    parts.forEach((coords, part) => {
+      if (!Array.isArray(coords)) return;
+      // MultiLineString: one coordTimes list per part
+      const times = Array.isArray(props.coordTimes?.[0])
+        ? props.coordTimes[part]
+        : props.coordTimes ?? props.times;
+      lines.push({
+        id: parts.length > 1 ? `${baseId}-${part + 1}` : baseId,
+        callsign: props.callsign ?? props.name ?? null,
+        category: props.category ?? null,
+        speed: props.speed,
+        coords,
+        times: vertexTimes(times, coords.length),
+      });
+    });
+  });
+
+  return uniqueIds(
+    lines
+      .map((line) => makeTrack(line, { defaultSpeed, startTime }))
+      .filter(Boolean)
+  );
+}
+
+// -------------------------------------------------------------------
+// KML
+// -------------------------------------------------------------------
+
+// Elements by local name, whatever the namespace prefix (kml:, gx:)
+function elementsByName(parent, name) {
+  return [...parent.getElementsByTagName("*")].filter(
+    (el) => el.localName === name
+  );
+}
+
+function childText(parent, name) {
+  return elementsByName(parent, name)[0]?.textContent.trim() ?? null;
+}
+
+function kmlAltitude(el, alt) {
+  const mode = childText(el, "altitudeMode") ?? "clampToGround";
+  return mode === "clampToGround" ? 0 : alt;
+}
+
+/**
+ * KML text -> tracks. Throws when the text is not XML; placemarks without
+ * a LineString or gx:Track are skipped.
+ */
+export function parseKmlTracks(
+  text,
+  { defaultSpeed = 200, startTime = Date.now() } = {}
+) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) {
+    throw new Error("geoImport: not valid KML (XML parse error)");
+  }
+
+  const lines = [];
+  elementsByName(doc, "Placemark").forEach((placemark, index) => {
+    const name = childText(placemark, "name");
+    const baseId = name || `track-${index + 1}`;
+    const data = {};
+    for (const el of elementsByName(placemark, "Data")) {
+      data[el.getAttribute("name")] = childText(el, "value");
+    }
+
+    const parts = [];
+    for (const el of elementsByName(placemark, "LineString")) {
+      const coords = (childText(el, "coordinates") ?? "")
+        .split(/\s+/)
+        .filter(Boolean)
+        .map((tuple) => tuple.split(",").map(Number))
+        .map(([lng, lat, alt]) => [lng, lat, kmlAltitude(el, alt ?? 0)]);
+      parts.push({ coords, times: null });
+    }
+    for (const el of elementsByName(placemark, "Track")) {
+      const when = elementsByName(el, "when").map((w) => w.textContent);
+      const coords = elementsByName(el, "coord").map((c) => {
+        const [lng, lat, alt] = c.textContent.trim().split(/\s+/).map(Number);
+        return [lng, lat, kmlAltitude(el, alt ?? 0)];
+      });
+      parts.push({ coords, times: vertexTimes(when, coords.length) });
+    }
+
+    parts.forEach((part, i) =>
+      lines.push({
+        id: data.id ?? (parts.length > 1 ? `${baseId}-${i + 1}` : baseId),
+        callsign: data.callsign ?? name,
+        category: data.category ?? null,
+        speed: data.speed,
+        ...part,
+      })
+    );
+  });
+
+  return uniqueIds(
+    lines
+      .map((line) => makeTrack(line, { defaultSpeed, startTime }))
+      .filter(Boolean)
+  );
+}
+
+// -------------------------------------------------------------------
+// Session
+// -------------------------------------------------------------------
+
+// Report for `track` at `time`, interpolated on its current segment
+function sampleTrack(track, time, segment) {
+  const { points, times } = track;
+  while (segment < times.length - 2 && times[segment + 1] <= time) segment++;
+
+  const a = points[segment];
+  const b = points[segment + 1];
+  const dt = (times[segment + 1] - times[segment]) / 1000;
+  const f = Math.min(Math.max((time - times[segment]) / 1000 / dt, 0), 1);
+  const { distance, initialBearing } = vincentyInverse(
+    a.lat,
+    a.lng,
+    b.lat,
+    b.lng
+  );
+
+  return {
+    segment,
+    report: {
+      id: track.id,
+      lat: a.lat + (b.lat - a.lat) * f,
+      lng: a.lng + (b.lng - a.lng) * f,
+      alt: a.alt + (b.alt - a.alt) * f,
+      heading: distance > 0 ? initialBearing : null,
+      speed: distance / dt,
+      verticalRate: (b.alt - a.alt) / dt,
+      time,
+      callsign: track.callsign,
+      category: track.category,
+      lastUpdate: time,
+      stale: false,
+    },
+  };
+}
+
+/**
+ * Tracks -> session, one report per track every `sampleSeconds` while it
+ * flies; a track is removed after its last point. Throws when the tracks
+ * span more than `maxFrames` samples (the recorder's limit).
+ */
+export function tracksToSession(
+  tracks,
+  { sampleSeconds = 1, maxFrames = 100_000 } = {}
+) {
+  if (!tracks.length) {
+    throw new Error("geoImport: no line strings to play back");
+  }
+
+  const stepMs = sampleSeconds * 1000;
+  const start = Math.min(...tracks.map((t) => t.times[0]));
+  const end = Math.max(...tracks.map((t) => t.times[t.times.length - 1]));
+  const samples = (end - start) / stepMs;
+  if (!(samples <= maxFrames)) {
+    throw new Error(
+      `geoImport: tracks span ${Math.round((end - start) / 3_600_000)} h, ` +
+        `more than ${maxFrames} samples of ${sampleSeconds} s`
+    );
+  }
+
+  const frames = [];
+  // id -> { segment, last: time of its final report, or null }
+  const state = new Map(tracks.map((t) => [t.id, { segment: 0, last: null }]));
+
+  for (let tick = start; ; tick += stepMs) {
+    const time = Math.min(tick, end);
+    const reports = [];
+    const removed = [];
+
+    for (const track of tracks) {
+      const s = state.get(track.id);
+      const first = track.times[0];
+      const last = track.times[track.times.length - 1];
+      if (time < first || s.last === -Infinity) continue;
+
+      if (s.last != null) {
+        // final point went out on the previous tick
+        removed.push(track.id);
+        s.last = -Infinity;
+        continue;
+      }
+      const sample = sampleTrack(track, Math.min(time, last), s.segment);
+      s.segment = sample.segment;
+      reports.push(sample.report);
+      if (time >= last) s.last = last;
+    }
+
+    const frame = { time };
+    if (reports.length) frame.tracks = reports;
+    if (removed.length) frame.removed = removed;
+    if (reports.length || removed.length) frames.push(frame);
+    if (tick >= end) break;
+  }
+
+  return { version: SESSION_VERSION, start, end, frames };
+}
@@ -0,0 +1,450 @@
+// src/utils/geodesy.js
+
+/**
+ * The one place lat/lng become meters.
+ *
+ *  - WGS84 geodetic <-> ECEF <-> local ENU (tangent plane) conversions
+ *  - geodesics on the ellipsoid (Vincenty inverse / direct): range and
+ *    bearing between two points, or the point at a range and bearing
+ *  - the azimuthal equidistant (AEQD) projection generate_heightmap.py
+ *    grids terrain in (`+proj=aeqd +datum=WGS84`)
+ *  - the curved / effective-earth model used for display and line of sight
+ *
+ * Scene frame: origin at the scene origin lat/lng, X = east, Z = -north,
+ * horizontal positions from geodeticToLocalENU() (AEQD, see there).
+ * Angles are degrees, distances meters, bearings clockwise from north.
+ */
+
+export const WGS84_A = 6_378_137;
+export const WGS84_F = 1 / 298.257223563;
+export const WGS84_B = WGS84_A * (1 - WGS84_F);
+const E2 = WGS84_F * (2 - WGS84_F); // first eccentricity squared
+
+// Mean radius, for the spherical curvature / refraction model
+export const EARTH_RADIUS_M = 6_371_000;
+
+// Standard-atmosphere refraction: radio waves bend as if the Earth were 4/3
+// its real radius
+export const REFRACTION_K = 4 / 3;
+
+const deg2rad = Math.PI / 180;
+const rad2deg = 180 / Math.PI;
+
+function normalizeBearing(deg) {
+  return ((deg % 360) + 360) % 360;
+}
+
+/**
+ * Angle folded into [-180, 180): the signed difference between two bearings.
+ */
+export function wrapDeg180(deg) {
+  return ((((deg + 180) % 360) + 360) % 360) - 180;
+}
+
+// -------------------------------------------------------------------
+// ECEF / ENU
+// -------------------------------------------------------------------
+
+/**
+ * WGS84 geodetic (alt = meters above the ellipsoid) -> ECEF { x, y, z }.
+ */
+export function geodeticToEcef(lat, lng, alt = 0) {
+  const phi = lat * deg2rad;
+  const lam = lng * deg2rad;
+  const sinPhi = Math.sin(phi);
+  const cosPhi = Math.cos(phi);
+  const N = WGS84_A / Math.sqrt(1 - E2 * sinPhi * sinPhi);
+
+  return {
+    x: (N + alt) * cosPhi * Math.cos(lam),
+    y: (N + alt) * cosPhi * Math.sin(lam),
+    z: (N * (1 - E2) + alt) * sinPhi,
+  };
+}
+
+/**
+ * ECEF -> WGS84 { lat, lng, alt }. Iterates on latitude; converges to
+ * well under a millimeter in a few rounds for anything near the surface.
+ */
+export function ecefToGeodetic(x, y, z) {
+  const p = Math.hypot(x, y);
+  const lng = Math.atan2(y, x) * rad2deg;
+
+  if (p < 1e-9) {
+    // on the polar axis
+    const lat = z >= 0 ? 90 : -90;
+    return { lat, lng: 0, alt: Math.abs(z) - WGS84_B };
+  }
+
+  let phi = Math.atan2(z, p * (1 - E2));
+  let alt = 0;
+  for (let i = 0; i < 10; i++) {
+    const sinPhi = Math.sin(phi);
+    const N = WGS84_A / Math.sqrt(1 - E2 * sinPhi * sinPhi);
+    alt = p / Math.cos(phi) - N;
+    const next = Math.atan2(z, p * (1 - (E2 * N) / (N + alt)));
+    if (Math.abs(next - phi) < 1e-12) {
+      phi = next;
+      break;
+    }
+    phi = next;
+  }
+
+  return { lat: phi * rad2deg, lng, alt };
+}
+
+// Rows of the ECEF -> ENU rotation at `origin`
+function enuBasis(origin) {
+  const phi = origin.lat * deg2rad;
+  const lam = origin.lng * deg2rad;
+  const sinPhi = Math.sin(phi);
+  const cosPhi = Math.cos(phi);
+  const sinLam = Math.sin(lam);
+  const cosLam = Math.cos(lam);
+
+  return {
+    east: [-sinLam, cosLam, 0],
+    north: [-sinPhi * cosLam, -sinPhi * sinLam, cosPhi],
+    up: [cosPhi * cosLam, cosPhi * sinLam, sinPhi],
+  };
+}
+
+/**
+ * ECEF point -> { east, north, up } in the tangent plane at `origin`
+ * ({ lat, lng, alt? }).
+ */
+export function ecefToEnu(ecef, origin) {
+  const o = geodeticToEcef(origin.lat, origin.lng, origin.alt ?? 0);
+  const dx = ecef.x - o.x;
+  const dy = ecef.y - o.y;
+  const dz = ecef.z - o.z;
+  const { east, north, up } = enuBasis(origin);
+
+  return {
+    east: east[0] * dx + east[1] * dy + east[2] * dz,
+    north: north[0] * dx + north[1] * dy + north[2] * dz,
+    up: up[0] * dx + up[1] * dy + up[2] * dz,
+  };
+}
+
+/**
+ * { east, north, up } in the tangent plane at `origin` -> ECEF.
+ */
+export function enuToEcef(enu, origin) {
+  const o = geodeticToEcef(origin.lat, origin.lng, origin.alt ?? 0);
+  const { east, north, up } = enuBasis(origin);
+
+  return {
+    x: o.x + east[0] * enu.east + north[0] * enu.north + up[0] * enu.up,
+    y: o.y + east[1] * enu.east + north[1] * enu.north + up[1] * enu.up,
+    z: o.z + east[2] * enu.east + north[2] * enu.north + up[2] * enu.up,
+  };
+}
+
+/**
+ * Geodetic -> tangent-plane ENU at `origin`. `up` includes the drop of the
+ * ellipsoid below the tangent plane (about -7 km at 300 km).
+ */
+export function geodeticToEnu(lat, lng, alt, origin) {
+  return ecefToEnu(geodeticToEcef(lat, lng, alt), origin);
+}
+
+export function enuToGeodetic(east, north, up, origin) {
+  const { x, y, z } = enuToEcef({ east, north, up }, origin);
+  return ecefToGeodetic(x, y, z);
+}
+
+// -------------------------------------------------------------------
+// Geodesics (Vincenty)
+// -------------------------------------------------------------------
+
+/**
+ * Ellipsoidal distance and bearings between two points.
+ * Returns { distance, initialBearing, finalBearing } (meters, degrees).
+ * Throws for nearly antipodal points, where Vincenty does not converge.
+ */
+export function vincentyInverse(lat1, lng1, lat2, lng2) {
+  const a = WGS84_A;
+  const b = WGS84_B;
+  const f = WGS84_F;
+
+  const L = (lng2 - lng1) * deg2rad;
+  const U1 = Math.atan((1 - f) * Math.tan(lat1 * deg2rad));
+  const U2 = Math.atan((1 - f) * Math.tan(lat2 * deg2rad));
+  const sinU1 = Math.sin(U1);
+  const cosU1 = Math.cos(U1);
+  const sinU2 = Math.sin(U2);
+  const cosU2 = Math.cos(U2);
+
+  let lambda = L;
+  let sinLambda;
+  let cosLambda;
+  let sinSigma;
+  let cosSigma;
+  let sigma;
+  let cosSqAlpha;
+  let cos2SigmaM;
+
+  for (let iter = 0; ; iter++) {
+    if (iter >= 200) {
+      throw new Error(
+        "geodesy: vincentyInverse did not converge (nearly antipodal points)"
+      );
+    }
+
+    sinLambda = Math.sin(lambda);
+    cosLambda = Math.cos(lambda);
+    const t1 = cosU2 * sinLambda;
+    const t2 = cosU1 * sinU2 - sinU1 * cosU2 * cosLambda;
+    sinSigma = Math.sqrt(t1 * t1 + t2 * t2);
+    if (sinSigma === 0) {
+      return { distance: 0, initialBearing: 0, finalBearing: 0 };
+    }
+    cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+    sigma = Math.atan2(sinSigma, cosSigma);
+
+    const sinAlpha = (cosU1 * cosU2 * sinLambda) / sinSigma;
+    cosSqAlpha = 1 - sinAlpha * sinAlpha;
+    // equatorial line: cosSqAlpha = 0
+    cos2SigmaM =
+      cosSqAlpha !== 0 ? cosSigma - (2 * sinU1 * sinU2) / cosSqAlpha : 0;
+
+    const C = (f / 16) * cosSqAlpha * (4 + f * (4 - 3 * cosSqAlpha));
+    const prev = lambda;
+    lambda =
+      L +
+      (1 - C) *
+        f *
+        sinAlpha *
+        (sigma +
+          C *
+            sinSigma *
+            (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+    if (Math.abs(lambda - prev) < 1e-12) break;
+  }
+
+  const uSq = (cosSqAlpha * (a * a - b * b)) / (b * b);
+  const A = 1 + (uSq / 16384) * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+  const B = (uSq / 1024) * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+  const deltaSigma =
+    B *
+    sinSigma *
+    (cos2SigmaM +
+      (B / 4) *
+        (cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+          (B / 6) *
+            cos2SigmaM *
+            (-3 + 4 * sinSigma * sinSigma) *
+            (-3 + 4 * cos2SigmaM * cos2SigmaM)));
+
+  const alpha1 = Math.atan2(
+    cosU2 * sinLambda,
+    cosU1 * sinU2 - sinU1 * cosU2 * cosLambda
+  );
+  const alpha2 = Math.atan2(
+    cosU1 * sinLambda,
+    -sinU1 * cosU2 + cosU1 * sinU2 * cosLambda
+  );
+
+  return {
+    distance: b * A * (sigma - deltaSigma),
+    initialBearing: normalizeBearing(alpha1 * rad2deg),
+    finalBearing: normalizeBearing(alpha2 * rad2deg),
+  };
+}
+
+/**
+ * Point reached after `distance` meters from lat/lng on `bearingDeg`.
+ * Returns { lat, lng, finalBearing }.
+ */
+export function vincentyDirect(lat, lng, bearingDeg, distance) {
+  const a = WGS84_A;
+  const b = WGS84_B;
+  const f = WGS84_F;
+
+  const alpha1 = bearingDeg * deg2rad;
+  const sinAlpha1 = Math.sin(alpha1);
+  const cosAlpha1 = Math.cos(alpha1);
+
+  const tanU1 = (1 - f) * Math.tan(lat * deg2rad);
+  const cosU1 = 1 / Math.sqrt(1 + tanU1 * tanU1);
+  const sinU1 = tanU1 * cosU1;
+  const sigma1 = Math.atan2(tanU1, cosAlpha1);
+  const sinAlpha = cosU1 * sinAlpha1;
+  const cosSqAlpha = 1 - sinAlpha * sinAlpha;
+  const uSq = (cosSqAlpha * (a * a - b * b)) / (b * b);
+  const A = 1 + (uSq / 16384) * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+  const B = (uSq / 1024) * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+
+  let sigma = distance / (b * A);
+  let sinSigma;
+  let cosSigma;
+  let cos2SigmaM;
+
+  for (let iter = 0; iter < 200; iter++) {
+    cos2SigmaM = Math.cos(2 * sigma1 + sigma);
+    sinSigma = Math.sin(sigma);
+    cosSigma = Math.cos(sigma);
+    const deltaSigma =
+      B *
+      sinSigma *
+      (cos2SigmaM +
+        (B / 4) *
+          (cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+            (B / 6) *
+              cos2SigmaM *
+              (-3 + 4 * sinSigma * sinSigma) *
+              (-3 + 4 * cos2SigmaM * cos2SigmaM)));
+    const prev = sigma;
+    sigma = distance / (b * A) + deltaSigma;
+    if (Math.abs(sigma - prev) < 1e-12) break;
+  }
+
+  cos2SigmaM = Math.cos(2 * sigma1 + sigma);
+  sinSigma = Math.sin(sigma);
+  cosSigma = Math.cos(sigma);
+
+  const t = sinU1 * sinSigma - cosU1 * cosSigma * cosAlpha1;
+  const phi2 = Math.atan2(
+    sinU1 * cosSigma + cosU1 * sinSigma * cosAlpha1,
+    (1 - f) * Math.sqrt(sinAlpha * sinAlpha + t * t)
+  );
+  const lambda = Math.atan2(
+    sinSigma * sinAlpha1,
+    cosU1 * cosSigma - sinU1 * sinSigma * cosAlpha1
+  );
+  const C = (f / 16) * cosSqAlpha * (4 + f * (4 - 3 * cosSqAlpha));
+  const L =
+    lambda -
+    (1 - C) *
+      f *
+      sinAlpha *
+      (sigma +
+        C *
+          sinSigma *
+          (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+  const alpha2 = Math.atan2(sinAlpha, -t);
+
+  return {
+    lat: phi2 * rad2deg,
+    lng: (((((lng * deg2rad + L) * rad2deg + 540) % 360) + 360) % 360) - 180,
+    finalBearing: normalizeBearing(alpha2 * rad2deg),
+  };
+}
+
+// -------------------------------------------------------------------
+// AEQD (matches generate_heightmap.py)
+// -------------------------------------------------------------------
+
+/**
+ * Ellipsoidal azimuthal equidistant projection centered on `origin`
+ * ({ lat, lng }): distance and bearing from the center are exact, which
+ * is what PROJ's `+proj=aeqd +datum=WGS84` does.
+ * Returns { east, north } meters.
+ */
+export function aeqdForward(lat, lng, origin) {
+  const { distance, initialBearing } = vincentyInverse(
+    origin.lat,
+    origin.lng,
+    lat,
+    lng
+  );
+  const az = initialBearing * deg2rad;
+  return { east: distance * Math.sin(az), north: distance * Math.cos(az) };
+}
+
+/**
+ * AEQD { east, north } around `origin` -> { lat, lng }.
+ */
+export function aeqdInverse(east, north, origin) {
+  const distance = Math.hypot(east, north);
+  if (distance === 0) return { lat: origin.lat, lng: origin.lng };
+
+  const bearing = Math.atan2(east, north) * rad2deg;
+  const { lat, lng } = vincentyDirect(
+    origin.lat,
+    origin.lng,
+    bearing,
+    distance
+  );
+  return { lat, lng };
+}
+
+// -------------------------------------------------------------------
+// Scene frame
+// -------------------------------------------------------------------
+
+/**
+ * lat/lng -> scene { east, north } meters relative to `origin` ({ lat, lng }).
+ *
+ * The scene's horizontal frame is the AEQD projection around the scene
+ * origin: the terrain grids are AEQD too, so aircraft land on the same
+ * features they fly over, and range / bearing from the sensor are exact.
+ * Heights stay heights above sea level; the curvature drop is handled by
+ * the earth model below.
+ */
+export function geodeticToLocalENU(lat, lng, origin) {
+  return aeqdForward(lat, lng, origin);
+}
+
+/**
+ * Inverse of geodeticToLocalENU.
+ */
+export function localENUToGeodetic(east, north, origin) {
+  return aeqdInverse(east, north, origin);
+}
+
+/**
+ * Earth model shared by the scene: planes, coverage, terrain and line of
+ * sight all take one of these so they agree on curvature.
+ *
+ * The curved model works in the "effective Earth" frame radar people use:
+ * with radius k * EARTH_RADIUS_M (k = 4/3 by default, standard refraction)
+ * radio rays are straight lines, so the coverage cone can stay a straight
+ * cone while everything on or above the surface is lowered by
+ * drop(r) = r^2 / (2 k R) at ground range r from the sensor. At 300 km that
+ * is about 5.3 km. The flat model drops nothing.
+ *
+ *   createEarthModel({ curved: true, k: 4 / 3 })
+ *     .drop(r)         meters below the sensor's tangent plane at range r
+ *     .dropAt(x, z)    same, at world X/Z relative to the sensor at 0,0
+ *     .effectiveRadius k * EARTH_RADIUS_M (Infinity when flat)
+ */
+export function createEarthModel({ curved = false, k = REFRACTION_K } = {}) {
+  if (!(k > 0)) throw new Error(`geodesy: k must be > 0 (got ${k})`);
+
+  const effectiveRadius = curved ? k * EARTH_RADIUS_M : Infinity;
+  const drop = curved ? (r) => (r * r) / (2 * effectiveRadius) : () => 0;
+
+  return {
+    curved,
+    k,
+    effectiveRadius,
+    drop,
+    dropAt: (x, z) => drop(Math.hypot(x, z)),
+  };
+}
+
+export const FLAT_EARTH = createEarthModel();
+
+/**
+ * Height (meters above the sphere) of a straight beam leaving a sensor at
+ * `sensorAltMeters` with elevation `elevationRad`, after `groundRangeMeters`
+ * along the surface, on an Earth of radius k * EARTH_RADIUS_M (k = 4/3
+ * folds standard refraction into the curvature; k = 1 is the geometric
+ * ray). Returns null once the beam points away from the surface at that
+ * range (elevation + central angle >= 90°).
+ */
+export function beamHeightAt(
+  groundRangeMeters,
+  elevationRad,
+  sensorAltMeters = 0,
+  k = REFRACTION_K
+) {
+  const a = k * EARTH_RADIUS_M;
+  const theta = groundRangeMeters / a;
+  const c = Math.cos(elevationRad + theta);
+  if (c <= 0) return null;
+
+  return ((a + sensorAltMeters) * Math.cos(elevationRad)) / c - a;
+}
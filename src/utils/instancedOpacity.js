@@ -0,0 +1,50 @@
+// src/utils/instancedOpacity.js
+import { InstancedBufferAttribute } from "three";
+
+/**
+ * Per-instance opacity for InstancedMesh, which only has per-instance
+ * color built in. The material multiplies its alpha by an `instanceOpacity`
+ * attribute (one float per instance, see createInstanceOpacity).
+ *
+ * Works on the built-in mesh materials (basic, standard, ...) and replaces
+ * any existing onBeforeCompile. Set `transparent: true` on the material.
+ */
+export function applyInstanceOpacity(material) {
+  material.onBeforeCompile = (shader) => {
+    shader.vertexShader = shader.vertexShader
+      .replace(
+        "#include <common>",
+        `#include <common>
+        attribute float instanceOpacity;
+        varying float vInstanceOpacity;`
+      )
+      .replace(
+        "#include <begin_vertex>",
+        `#include <begin_vertex>
+        vInstanceOpacity = instanceOpacity;`
+      );
+    shader.fragmentShader = shader.fragmentShader
+      .replace(
+        "#include <common>",
+        "#include <common>\nvarying float vInstanceOpacity;"
+      )
+      .replace(
+        "#include <color_fragment>",
+        `#include <color_fragment>
+        diffuseColor.a *= vInstanceOpacity;`
+      );
+  };
+  material.customProgramCacheKey = () => "instance-opacity";
+  material.needsUpdate = true;
+  return material;
+}
+
+/**
+ * Add an `instanceOpacity` attribute (all 1) for `count` instances to the
+ * geometry of an InstancedMesh and return it.
+ */
+export function createInstanceOpacity(geometry, count) {
+  const attr = new InstancedBufferAttribute(new Float32Array(count).fill(1), 1);
+  geometry.setAttribute("instanceOpacity", attr);
+  return attr;
+}
@@ -0,0 +1,150 @@
+// src/utils/instancedSet.js
+import {
+  DynamicDrawUsage,
+  InstancedBufferAttribute,
+  InstancedMesh,
+} from "three";
+import {
+  applyInstanceOpacity,
+  createInstanceOpacity,
+} from "@/utils/instancedOpacity.js";
+
+const INITIAL_CAPACITY = 256;
+
+/**
+ * A group of InstancedMeshes drawn together: instance i of every part
+ * belongs to the object in slot i (e.g. the parts of one aircraft model).
+ *
+ * parts: [{ geometry, material, opacityScale = 1, colored = false }]
+ *   The set owns the geometries and materials (materials get the
+ *   per-instance opacity patch) and disposes them. `colored` parts get an
+ *   instanceColor, white by default.
+ *
+ * Slots stay packed 0..count-1: remove() moves the last object into the
+ * freed slot and returns its id, so the caller can update its bookkeeping
+ * and rewrite that slot's style (matrices are rewritten every frame
+ * anyway). Buffers grow by doubling and keep their contents.
+ */
+export function createInstancedSet(scene, parts) {
+  const ids = []; // slot -> id
+  const entries = parts.map(({ opacityScale = 1, colored = false, ...p }) => {
+    const materials = Array.isArray(p.material) ? p.material : [p.material];
+    materials.forEach(applyInstanceOpacity);
+    return { ...p, opacityScale, colored, mesh: null, opacity: null };
+  });
+  let capacity = 0;
+
+  function grow(needed) {
+    if (needed <= capacity) return;
+    let next = Math.max(INITIAL_CAPACITY, capacity);
+    while (next < needed) next *= 2;
+
+    for (const entry of entries) {
+      const geometry = entry.geometry.clone();
+      const opacity = createInstanceOpacity(geometry, next);
+      opacity.setUsage(DynamicDrawUsage);
+
+      const mesh = new InstancedMesh(geometry, entry.material, next);
+      mesh.instanceMatrix.setUsage(DynamicDrawUsage);
+      // instances move every frame; raycasting recomputes its bounds
+      mesh.frustumCulled = false;
+      mesh.userData.instanceIds = ids; // for picking: instanceId -> id
+      if (entry.colored) {
+        mesh.instanceColor = new InstancedBufferAttribute(
+          new Float32Array(next * 3).fill(1),
+          3
+        ).setUsage(DynamicDrawUsage);
+      }
+
+      const old = entry.mesh;
+      if (old) {
+        mesh.instanceMatrix.array.set(old.instanceMatrix.array);
+        opacity.array.set(entry.opacity.array);
+        if (old.instanceColor) {
+          mesh.instanceColor.array.set(old.instanceColor.array);
+        }
+        scene.remove(old);
+        old.geometry.dispose();
+        old.dispose();
+      }
+
+      mesh.count = ids.length;
+      scene.add(mesh);
+      entry.mesh = mesh;
+      entry.opacity = opacity;
+    }
+    capacity = next;
+  }
+
+  // Slot for a new object
+  function add(id) {
+    grow(ids.length + 1);
+    ids.push(id);
+    return ids.length - 1;
+  }
+
+  // Free a slot; returns the id moved into it, or null
+  function remove(slot) {
+    const last = ids.pop();
+    if (slot >= ids.length) return null;
+    ids[slot] = last;
+    return last;
+  }
+
+  function setMatrix(slot, matrix) {
+    for (const { mesh } of entries) mesh.setMatrixAt(slot, matrix);
+  }
+
+  // Every part's opacity, times its opacityScale
+  function setOpacity(slot, value) {
+    for (const entry of entries) {
+      entry.opacity.setX(slot, value * entry.opacityScale);
+      entry.opacity.needsUpdate = true;
+    }
+  }
+
+  function setColor(slot, color) {
+    for (const { mesh } of entries) {
+      if (!mesh.instanceColor) continue;
+      mesh.setColorAt(slot, color);
+      mesh.instanceColor.needsUpdate = true;
+    }
+  }
+
+  // After writing the frame's matrices
+  function commit() {
+    for (const { mesh } of entries) {
+      mesh.count = ids.length;
+      mesh.instanceMatrix.needsUpdate = true;
+    }
+  }
+
+  function dispose() {
+    for (const entry of entries) {
+      scene.remove(entry.mesh);
+      entry.mesh.geometry.dispose();
+      entry.mesh.dispose();
+      entry.geometry.dispose();
+      const materials = Array.isArray(entry.material)
+        ? entry.material
+        : [entry.material];
+      for (const material of materials) material.dispose();
+    }
+    ids.length = 0;
+  }
+
+  grow(1);
+
+  return {
+    parts: entries, // { mesh, opacity, ... } per part, for per-part writes
+    ids,
+    add,
+    remove,
+    setMatrix,
+    setOpacity,
+    setColor,
+    commit,
+    meshes: () => entries.map((entry) => entry.mesh),
+    dispose,
+  };
+}
@@ -0,0 +1,228 @@
+// src/utils/radarModel.js
+import { wrapDeg180 } from "@/utils/geodesy.js";
+
+/**
+ * Surveillance radar model: where the sensor looks (the coverage envelope)
+ * and how likely it is to see a target there (Pd).
+ *
+ * Coverage is an azimuth / elevation sector around the boresight set by
+ * useCoverage.setCoverageOrientation():
+ *   azimuth    boresight ± azimuthBeamwidthDeg / 2 (360 = all round)
+ *   elevation  boresight ± elevationBeamwidthDeg / 2, clipped to
+ *              [minElevationDeg, maxElevationDeg]
+ *   range      up to instrumentedRangeMeters, altitude up to ceilingMeters
+ *
+ * Detection follows the radar equation: single-pulse SNR
+ *   SNR = Pt G² λ² σ / ((4π)³ k T0 B F L R⁴)
+ * and Pd from North's approximation for a steady target,
+ *   Pd = ½ erfc(√(−ln Pfa) − √(SNR + ½)).
+ * Targets are detected when Pd >= pdThreshold, with no random draw, so
+ * replays and scenarios come out the same every time. RCS (σ, m²) comes
+ * from the aircraft category (utils/aircraftModels.js).
+ */
+export const DEFAULT_RADAR = {
+  azimuthBeamwidthDeg: 120,
+  elevationBeamwidthDeg: 120,
+  minElevationDeg: -5,
+  maxElevationDeg: 60,
+  instrumentedRangeMeters: 300_000,
+  ceilingMeters: 30_000,
+
+  peakPowerW: 500_000,
+  antennaGainDb: 40,
+  frequencyHz: 1.3e9, // L band
+  bandwidthHz: 1e6,
+  noiseFigureDb: 3,
+  lossesDb: 6,
+  falseAlarmProbability: 1e-6,
+
+  pdThreshold: 0.5,
+  // target the rendered envelope is drawn for, m²
+  referenceRcs: 1,
+  rcsByCategory: {
+    jet: 10,
+    turboprop: 3,
+    helicopter: 3,
+    uav: 0.1,
+    unknown: 1,
+  },
+};
+
+const BOLTZMANN = 1.380649e-23; // J/K
+const T0 = 290; // K, reference noise temperature
+const SPEED_OF_LIGHT = 299_792_458;
+
+function dbToLinear(db) {
+  return 10 ** (db / 10);
+}
+
+// Abramowitz & Stegun 7.1.26, |error| < 1.5e-7
+function erfc(x) {
+  const z = Math.abs(x);
+  const t = 1 / (1 + 0.3275911 * z);
+  const poly =
+    t *
+    (0.254829592 +
+      t *
+        (-0.284496736 +
+          t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const r = poly * Math.exp(-z * z);
+  return x >= 0 ? r : 2 - r;
+}
+
+function requirePositive(params, key) {
+  const value = params[key];
+  if (typeof value !== "number" || !(value > 0)) {
+    throw new Error(`radarModel: ${key} must be a number > 0 (got ${value})`);
+  }
+}
+
+/**
+ * Radar from `params` (merged over DEFAULT_RADAR, rcsByCategory merged too).
+ * Throws on values that make no sense.
+ */
+export function createRadarModel(params = {}) {
+  const p = {
+    ...DEFAULT_RADAR,
+    ...params,
+    rcsByCategory: {
+      ...DEFAULT_RADAR.rcsByCategory,
+      ...(params.rcsByCategory ?? {}),
+    },
+  };
+
+  for (const key of [
+    "azimuthBeamwidthDeg",
+    "elevationBeamwidthDeg",
+    "instrumentedRangeMeters",
+    "ceilingMeters",
+    "peakPowerW",
+    "frequencyHz",
+    "bandwidthHz",
+    "referenceRcs",
+  ]) {
+    requirePositive(p, key);
+  }
+  if (!(p.minElevationDeg < p.maxElevationDeg)) {
+    throw new Error(
+      "radarModel: minElevationDeg must be below maxElevationDeg"
+    );
+  }
+  if (!(p.falseAlarmProbability > 0 && p.falseAlarmProbability < 1)) {
+    throw new Error("radarModel: falseAlarmProbability must be in (0, 1)");
+  }
+  if (!(p.pdThreshold > 0 && p.pdThreshold < 1)) {
+    throw new Error("radarModel: pdThreshold must be in (0, 1)");
+  }
+
+  const wavelength = SPEED_OF_LIGHT / p.frequencyHz;
+  const gain = dbToLinear(p.antennaGainDb);
+  // SNR = snrConstant * σ / R⁴
+  const snrConstant =
+    (p.peakPowerW * gain * gain * wavelength * wavelength) /
+    ((4 * Math.PI) ** 3 *
+      BOLTZMANN *
+      T0 *
+      p.bandwidthHz *
+      dbToLinear(p.noiseFigureDb) *
+      dbToLinear(p.lossesDb));
+  const thresholdTerm = Math.sqrt(-Math.log(p.falseAlarmProbability));
+
+  function snrAt(range, rcs) {
+    return (snrConstant * rcs) / range ** 4;
+  }
+
+  function pdForSnr(snr) {
+    return 0.5 * erfc(thresholdTerm - Math.sqrt(snr + 0.5));
+  }
+
+  /**
+   * Probability of detection of a `rcs` m² target at `range` meters.
+   */
+  function pdAt(range, rcs) {
+    if (range <= 0) return 1;
+    return pdForSnr(snrAt(range, rcs));
+  }
+
+  // SNR giving `pd`, by bisection (Pd grows with SNR)
+  function requiredSnr(pd) {
+    let lo = 0;
+    let hi = 1e6;
+    for (let i = 0; i < 80; i++) {
+      const mid = (lo + hi) / 2;
+      if (pdForSnr(mid) < pd) lo = mid;
+      else hi = mid;
+    }
+    return hi;
+  }
+
+  const snrAtThreshold = requiredSnr(p.pdThreshold);
+
+  /**
+   * Range (meters) where a `rcs` m² target drops to Pd = `pd`, ignoring the
+   * instrumented range.
+   */
+  function detectionRange(rcs, pd = p.pdThreshold) {
+    const snr = pd === p.pdThreshold ? snrAtThreshold : requiredSnr(pd);
+    return ((snrConstant * rcs) / snr) ** 0.25;
+  }
+
+  // Drawn range of the envelope: the reference target's detection range
+  // within the instrumented range
+  function envelopeRange(rcs = p.referenceRcs) {
+    return Math.min(p.instrumentedRangeMeters, detectionRange(rcs));
+  }
+
+  function rcsOf(category) {
+    return p.rcsByCategory[category] ?? p.rcsByCategory.unknown ?? 1;
+  }
+
+  /**
+   * Elevation span for a boresight elevation:
+   * { lowerDeg, upperDeg }, or null when the limits leave nothing.
+   */
+  function elevationSpan(boresightElDeg) {
+    const half = p.elevationBeamwidthDeg / 2;
+    const lowerDeg = Math.max(boresightElDeg - half, p.minElevationDeg, -90);
+    const upperDeg = Math.min(boresightElDeg + half, p.maxElevationDeg, 90);
+    return lowerDeg < upperDeg ? { lowerDeg, upperDeg } : null;
+  }
+
+  // Azimuth `offsetDeg` off the boresight is inside the sector
+  function azimuthInside(offsetDeg) {
+    if (p.azimuthBeamwidthDeg >= 360) return true;
+    return Math.abs(wrapDeg180(offsetDeg)) <= p.azimuthBeamwidthDeg / 2;
+  }
+
+  /**
+   * Envelope for a boresight:
+   *   { azimuthDeg, azimuthWidthDeg, lowerDeg, upperDeg, rangeMeters,
+   *     instrumentedRangeMeters, ceilingMeters }
+   * or null when the elevation limits leave nothing. rangeMeters is the
+   * drawn range (the reference target's detection range).
+   */
+  function envelopeFor(azimuthDeg, elevationDeg) {
+    const span = elevationSpan(elevationDeg);
+    if (!span) return null;
+    return {
+      azimuthDeg,
+      azimuthWidthDeg: Math.min(p.azimuthBeamwidthDeg, 360),
+      ...span,
+      rangeMeters: envelopeRange(),
+      instrumentedRangeMeters: p.instrumentedRangeMeters,
+      ceilingMeters: p.ceilingMeters,
+    };
+  }
+
+  return {
+    params: p,
+    snrAt,
+    pdAt,
+    detectionRange,
+    envelopeRange,
+    rcsOf,
+    elevationSpan,
+    azimuthInside,
+    envelopeFor,
+  };
+}
@@ -0,0 +1,260 @@
+// src/utils/scenario.js
+import { createRadarModel } from "@/utils/radarModel.js";
+
+/**
+ * Scenario files: a reproducible traffic picture for the local simulator
+ * (see scenarioSimulator.js), shared as JSON instead of edited into App.vue.
+ *
+ *   {
+ *     "name": "Tel Aviv approach",
+ *     "timestepSeconds": 0.2,      // simulation step, default 0.2
+ *     "durationSeconds": 600,      // optional end of the scenario
+ *     "repeat": true,              // start over at the end, default true
+ *     "origin": { "lat": 32.008, "lng": 34.883 },
+ *     "sensor": { "azimuthDeg": 0, "elevationDeg": 0 },
+ *     "sensors": [{                 // optional, replaces "sensor": one site
+ *       "id": "north",              // each, see utils/sensors.js
+ *       "name": "Mount Meron",      // optional, defaults to the id
+ *       "lat": 32.99, "lng": 35.41,
+ *       "alt": 1300,                // optional, default terrain + mast
+ *       "azimuthDeg": 0, "elevationDeg": 0,
+ *       "color": "#ff66cc",         // optional, from a palette
+ *       "radar": { "peakPowerW": 1e6 } // optional, see radarModel.js
+ *     }],
+ *     "aircraft": [{
+ *       "id": "LY101",
+ *       "callsign": "ELY101",       // optional, and so is "category"
+ *       "category": "A3",
+ *       "spawnSeconds": 0,          // appears at, default 0
+ *       "despawnSeconds": 300,      // disappears at, default never
+ *       "speed": 230,               // initial ground speed m/s
+ *       "climbRate": 10,            // m/s towards a waypoint's alt
+ *       "descentRate": 10,
+ *       "acceleration": 2,          // m/s² towards a waypoint's speed
+ *       "turnRateDeg": 3,           // deg/s, 3 = standard rate turn
+ *       "loop": true,               // fly the route again, else despawn
+ *                                   // at the last waypoint
+ *       "route": [                  // starts at the first waypoint
+ *         { "lat": 32.05, "lng": 34.78, "alt": 9000 },
+ *         { "lat": 32.2, "lng": 35.05, "alt": 6000, "speed": 180,
+ *           "descentRate": 15 }      // speed / rates from the leg to here on
+ *       ]
+ *     }]
+ *   }
+ * Distances are meters, altitudes meters above sea level, angles degrees.
+ * A waypoint without `alt` keeps the current altitude.
+ */
+
+const AIRCRAFT_DEFAULTS = {
+  speed: 200,
+  climbRate: 10,
+  descentRate: 10,
+  acceleration: 2,
+  turnRateDeg: 3,
+};
+
+function fail(source, message) {
+  throw new Error(`scenario: ${source}: ${message}`);
+}
+
+function requireNumber(source, value, name) {
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    fail(source, `${name} must be a finite number (got ${value})`);
+  }
+  return value;
+}
+
+function optionalNumber(source, value, name, fallback) {
+  return value == null ? fallback : requireNumber(source, value, name);
+}
+
+function positiveNumber(source, value, name, fallback) {
+  const n = optionalNumber(source, value, name, fallback);
+  if (n != null && n <= 0) fail(source, `${name} must be > 0 (got ${n})`);
+  return n;
+}
+
+function parseLatLng(source, raw, name) {
+  if (!raw || typeof raw !== "object") fail(source, `missing \`${name}\``);
+  const lat = requireNumber(source, raw.lat, `${name}.lat`);
+  const lng = requireNumber(source, raw.lng ?? raw.lon, `${name}.lng`);
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    fail(source, `${name} is out of range (${lat}, ${lng})`);
+  }
+  return { lat, lng };
+}
+
+function parseWaypoint(source, raw, name) {
+  const at = parseLatLng(source, raw, name);
+  return {
+    ...at,
+    alt: optionalNumber(source, raw.alt, `${name}.alt`, null),
+    speed: positiveNumber(source, raw.speed, `${name}.speed`, null),
+    climbRate: positiveNumber(source, raw.climbRate, `${name}.climbRate`, null),
+    descentRate: positiveNumber(
+      source,
+      raw.descentRate,
+      `${name}.descentRate`,
+      null
+    ),
+  };
+}
+
+function parseSensor(source, raw, index) {
+  const name = `sensors[${index}]`;
+  if (!raw || typeof raw !== "object") fail(source, `${name} is not an object`);
+
+  const radar = raw.radar ?? {};
+  if (typeof radar !== "object") fail(source, `${name}.radar is not an object`);
+  try {
+    createRadarModel(radar);
+  } catch (err) {
+    fail(source, `${name}.radar: ${err.message}`);
+  }
+
+  return {
+    id: raw.id != null ? String(raw.id) : `sensor-${index + 1}`,
+    name: raw.name != null ? String(raw.name) : null,
+    ...parseLatLng(source, raw, name),
+    alt: optionalNumber(source, raw.alt, `${name}.alt`, null),
+    azimuthDeg: optionalNumber(source, raw.azimuthDeg, `${name}.azimuthDeg`, 0),
+    elevationDeg: optionalNumber(
+      source,
+      raw.elevationDeg,
+      `${name}.elevationDeg`,
+      0
+    ),
+    color: raw.color != null ? String(raw.color) : null,
+    radar,
+  };
+}
+
+function parseAircraft(source, raw, index) {
+  const name = `aircraft[${index}]`;
+  if (!raw || typeof raw !== "object") fail(source, `${name} is not an object`);
+
+  const id = raw.id != null ? String(raw.id).trim() : "";
+  if (!id) fail(source, `${name}.id is required`);
+
+  if (!Array.isArray(raw.route) || !raw.route.length) {
+    fail(source, `${name}.route needs at least one waypoint`);
+  }
+  const route = raw.route.map((wp, i) =>
+    parseWaypoint(source, wp, `${name}.route[${i}]`)
+  );
+
+  const spawnSeconds = optionalNumber(
+    source,
+    raw.spawnSeconds,
+    `${name}.spawnSeconds`,
+    0
+  );
+  const despawnSeconds = optionalNumber(
+    source,
+    raw.despawnSeconds,
+    `${name}.despawnSeconds`,
+    null
+  );
+  if (despawnSeconds != null && despawnSeconds <= spawnSeconds) {
+    fail(source, `${name}.despawnSeconds must be after spawnSeconds`);
+  }
+
+  const aircraft = {
+    id,
+    callsign: raw.callsign != null ? String(raw.callsign) : null,
+    category: raw.category != null ? String(raw.category) : null,
+    spawnSeconds,
+    despawnSeconds,
+    loop: raw.loop ?? true,
+    route,
+  };
+  for (const [key, fallback] of Object.entries(AIRCRAFT_DEFAULTS)) {
+    aircraft[key] = positiveNumber(
+      source,
+      raw[key],
+      `${name}.${key}`,
+      fallback
+    );
+  }
+  return aircraft;
+}
+
+/**
+ * Validate a raw scenario object; returns the normalized scenario (all
+ * defaults filled in) or throws naming the offending field.
+ */
+export function parseScenario(raw, source = "scenario") {
+  if (!raw || typeof raw !== "object") fail(source, "not a JSON object");
+
+  const timestepSeconds = positiveNumber(
+    source,
+    raw.timestepSeconds,
+    "timestepSeconds",
+    0.2
+  );
+  const durationSeconds = positiveNumber(
+    source,
+    raw.durationSeconds,
+    "durationSeconds",
+    null
+  );
+
+  const sensor = raw.sensor ?? {};
+  if (!Array.isArray(raw.aircraft)) fail(source, "missing `aircraft` list");
+  const aircraft = raw.aircraft.map((a, i) => parseAircraft(source, a, i));
+
+  const ids = new Set();
+  for (const { id } of aircraft) {
+    if (ids.has(id)) fail(source, `duplicate aircraft id "${id}"`);
+    ids.add(id);
+  }
+
+  if (raw.sensors != null && !Array.isArray(raw.sensors)) {
+    fail(source, "`sensors` must be a list");
+  }
+  const sensors = (raw.sensors ?? []).map((s, i) => parseSensor(source, s, i));
+  const sensorIds = new Set();
+  for (const { id } of sensors) {
+    if (sensorIds.has(id)) fail(source, `duplicate sensor id "${id}"`);
+    sensorIds.add(id);
+  }
+
+  return {
+    name: raw.name != null ? String(raw.name) : source,
+    timestepSeconds,
+    durationSeconds,
+    repeat: raw.repeat ?? true,
+    origin: parseLatLng(source, raw.origin, "origin"),
+    sensor: {
+      azimuthDeg: optionalNumber(
+        source,
+        sensor.azimuthDeg,
+        "sensor.azimuthDeg",
+        0
+      ),
+      elevationDeg: optionalNumber(
+        source,
+        sensor.elevationDeg,
+        "sensor.elevationDeg",
+        0
+      ),
+    },
+    sensors,
+    aircraft,
+  };
+}
+
+export async function fetchScenario(url) {
+  const resp = await fetch(url, { cache: "no-store" });
+  if (!resp.ok) {
+    throw new Error(`scenario: failed to fetch ${url} (${resp.status})`);
+  }
+
+  let raw;
+  try {
+    raw = await resp.json();
+  } catch (err) {
+    throw new Error(`scenario: ${url} is not valid JSON (${err.message})`);
+  }
+  return parseScenario(raw, url);
+}
@@ -0,0 +1,202 @@
+// src/utils/scenarioSimulator.js
+import {
+  vincentyDirect,
+  vincentyInverse,
+  wrapDeg180,
+} from "@/utils/geodesy.js";
+
+/**
+ * Deterministic traffic simulator for a parsed scenario (see scenario.js).
+ *
+ * Time advances in fixed steps of `scenario.timestepSeconds`, independent
+ * of how often step() is called, and nothing is random: the same scenario
+ * always produces the same reports at the same step.
+ *
+ * Each aircraft flies its route waypoint to waypoint: it turns towards the
+ * next waypoint at most `turnRateDeg` per second, changes speed by at most
+ * `acceleration`, and climbs / descends at `climbRate` / `descentRate`
+ * towards the waypoint's altitude. A waypoint's speed and rates apply from
+ * the leg towards it on. A waypoint counts as reached within one turn
+ * radius, so the aircraft doesn't circle it.
+ *
+ * step() returns
+ *   {
+ *     time,      // scenario seconds after this step
+ *     reports,   // one report per aircraft in the air (trackReports shape)
+ *     removed,   // ids that despawned during this step
+ *     finished,  // durationSeconds reached and repeat is off
+ *   }
+ */
+export function createScenarioSimulator(scenario) {
+  if (!scenario?.aircraft) {
+    throw new Error("scenarioSimulator: scenario is required");
+  }
+
+  const dt = scenario.timestepSeconds;
+  let stepIndex = 0;
+  let states = new Map(); // id -> flight state, aircraft in the air
+  let gone = new Set(); // despawned ids, not spawned again until reset
+
+  function spawn(aircraft) {
+    const first = aircraft.route[0];
+    const state = {
+      aircraft,
+      lat: first.lat,
+      lng: first.lng,
+      alt: first.alt ?? 0,
+      heading: 0,
+      speed: first.speed ?? aircraft.speed,
+      verticalRate: 0,
+      // commanded values, updated per leg
+      targetSpeed: first.speed ?? aircraft.speed,
+      targetAlt: first.alt ?? 0,
+      climbRate: first.climbRate ?? aircraft.climbRate,
+      descentRate: first.descentRate ?? aircraft.descentRate,
+      target: null, // route index flown to, null = straight on
+    };
+    startLeg(state, aircraft.route.length > 1 ? 1 : null);
+    if (state.target != null) {
+      state.heading = legTo(state, state.target)?.initialBearing ?? 0;
+    }
+    return state;
+  }
+
+  function startLeg(state, index) {
+    state.target = index;
+    if (index == null) return;
+    const wp = state.aircraft.route[index];
+    if (wp.speed != null) state.targetSpeed = wp.speed;
+    if (wp.alt != null) state.targetAlt = wp.alt;
+    if (wp.climbRate != null) state.climbRate = wp.climbRate;
+    if (wp.descentRate != null) state.descentRate = wp.descentRate;
+  }
+
+  // Range and bearing to a route waypoint, null where Vincenty fails (a
+  // nearly antipodal waypoint): the aircraft then holds its heading and
+  // tries again from the next position
+  function legTo(state, index) {
+    const wp = state.aircraft.route[index];
+    try {
+      return vincentyInverse(state.lat, state.lng, wp.lat, wp.lng);
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // Returns false when the aircraft finished its route
+  function advance(state) {
+    const { aircraft } = state;
+
+    const dv = state.targetSpeed - state.speed;
+    state.speed +=
+      Math.sign(dv) * Math.min(Math.abs(dv), aircraft.acceleration * dt);
+
+    const dz = state.targetAlt - state.alt;
+    const rate = dz > 0 ? state.climbRate : state.descentRate;
+    state.verticalRate = Math.sign(dz) * Math.min(rate, Math.abs(dz) / dt);
+    state.alt += state.verticalRate * dt;
+
+    const leg = state.target != null ? legTo(state, state.target) : null;
+    if (leg) {
+      const { distance, initialBearing } = leg;
+      const turnRate = (aircraft.turnRateDeg * Math.PI) / 180;
+      const captureRadius = Math.max(state.speed * dt, state.speed / turnRate);
+
+      if (distance <= captureRadius) {
+        const next = state.target + 1;
+        if (next < aircraft.route.length) startLeg(state, next);
+        else if (aircraft.loop) startLeg(state, 0);
+        else return false;
+      } else {
+        const turn = wrapDeg180(initialBearing - state.heading);
+        const maxTurn = aircraft.turnRateDeg * dt;
+        state.heading = wrapDeg360(
+          state.heading + Math.max(-maxTurn, Math.min(maxTurn, turn))
+        );
+      }
+    }
+
+    const next = vincentyDirect(
+      state.lat,
+      state.lng,
+      state.heading,
+      state.speed * dt
+    );
+    state.lat = next.lat;
+    state.lng = next.lng;
+    return true;
+  }
+
+  function report(state) {
+    const { aircraft } = state;
+    return {
+      id: aircraft.id,
+      callsign: aircraft.callsign,
+      category: aircraft.category,
+      lat: state.lat,
+      lng: state.lng,
+      alt: state.alt,
+      heading: state.heading,
+      speed: state.speed,
+      verticalRate: state.verticalRate,
+    };
+  }
+
+  function reset() {
+    stepIndex = 0;
+    states = new Map();
+    gone = new Set();
+  }
+
+  function step() {
+    const removed = [];
+    stepIndex++;
+    let time = stepIndex * dt;
+
+    const { durationSeconds } = scenario;
+    if (durationSeconds != null && time > durationSeconds) {
+      removed.push(...states.keys());
+      if (!scenario.repeat) {
+        states.clear();
+        stepIndex--;
+        return { time: stepIndex * dt, reports: [], removed, finished: true };
+      }
+      reset();
+      stepIndex = 1;
+      time = dt;
+    }
+
+    for (const aircraft of scenario.aircraft) {
+      const { id } = aircraft;
+      if (gone.has(id) || time < aircraft.spawnSeconds) continue;
+
+      const state = states.get(id);
+      const despawnDue =
+        aircraft.despawnSeconds != null && time >= aircraft.despawnSeconds;
+      if (!despawnDue && !state) {
+        states.set(id, spawn(aircraft));
+      } else if (despawnDue || !advance(state)) {
+        if (states.delete(id)) removed.push(id);
+        gone.add(id);
+      }
+    }
+
+    return {
+      time,
+      reports: [...states.values()].map(report),
+      removed,
+      finished: false,
+    };
+  }
+
+  return {
+    timestepSeconds: dt,
+    time: () => stepIndex * dt,
+    step,
+    reset,
+  };
+}
+
+function wrapDeg360(deg) {
+  return ((deg % 360) + 360) % 360;
+}
@@ -0,0 +1,52 @@
+// src/utils/sensors.js
+
+/**
+ * Sensor sites for the multi-sensor scene. A sensor is
+ *   {
+ *     id, name,
+ *     lat, lng,
+ *     alt,            // meters above sea level, null = terrain + mast
+ *     azimuthDeg,     // boresight, 0 = north, 90 = east
+ *     elevationDeg,
+ *     color,          // CSS color of its envelope and marker
+ *     radar,          // radarModel.js parameters, {} = DEFAULT_RADAR
+ *   }
+ * normalizeSensors() fills in ids, names and colors.
+ */
+export const SENSOR_COLORS = [
+  "#00ffcc",
+  "#ff66cc",
+  "#66aaff",
+  "#ffd24d",
+  "#a6ff4d",
+  "#ff8c4d",
+];
+
+// Coverage by number of sensors seeing a point: 1, 2, 3 or more
+export const SENSOR_COUNT_COLORS = ["#ffaa00", "#66dd66", "#33ccff"];
+
+export function sensorCountColor(count) {
+  if (count <= 0) return null;
+  return SENSOR_COUNT_COLORS[Math.min(count, SENSOR_COUNT_COLORS.length) - 1];
+}
+
+/**
+ * Sensors with defaults: ids "sensor-1", ..., names from the ids, colors
+ * from SENSOR_COLORS by position, boresight 0 / 0, no fixed altitude.
+ */
+export function normalizeSensors(sensors = []) {
+  return sensors.map((sensor, i) => {
+    const id = sensor.id != null ? String(sensor.id) : `sensor-${i + 1}`;
+    return {
+      id,
+      name: sensor.name ?? id,
+      lat: sensor.lat,
+      lng: sensor.lng ?? sensor.lon,
+      alt: sensor.alt ?? null,
+      azimuthDeg: sensor.azimuthDeg ?? 0,
+      elevationDeg: sensor.elevationDeg ?? 0,
+      color: sensor.color ?? SENSOR_COLORS[i % SENSOR_COLORS.length],
+      radar: sensor.radar ?? {},
+    };
+  });
+}
@@ -0,0 +1,230 @@
+// src/utils/sessionRecording.js
+import { createRadarModel } from "@/utils/radarModel.js";
+import { normalizeSensors } from "@/utils/sensors.js";
+
+/**
+ * Recorded sessions: what the track source published and where the sensor
+ * was looking, frame by frame.
+ *
+ * In memory a session is
+ *   {
+ *     version: 1,
+ *     start, end,   // ms since epoch (Date.now() clock)
+ *     frames: [{
+ *       time,       // ms since epoch, non-decreasing
+ *       tracks,     // optional: tracks added or changed since the last
+ *                   // frame, as the track source has them
+ *                   // ({ ...report, lastUpdate, stale })
+ *       removed,    // optional: ids of tracks that went away
+ *       sensor,     // optional: { origin: { lat, lng } | null,
+ *                   //             azimuthDeg, elevationDeg,
+ *                   //             sensors } (sensors: the sites, see
+ *                   //             utils/sensors.js; [] or missing = one
+ *                   //             sensor at the origin)
+ *     }],
+ *   }
+ * The first frame holds every track and the sensor, later frames only what
+ * changed.
+ *
+ * On disk it is JSON lines: a header, then one line per frame with `t` in
+ * ms since `start` and null track fields left out:
+ *   {"type":"session","version":1,"start":1760000000000,"end":1760000060000}
+ *   {"t":0,"sensor":{"origin":{"lat":32,"lng":34.9},"azimuthDeg":0,"elevationDeg":0},"tracks":[...]}
+ *   {"t":200,"tracks":[{"id":"LY101","lat":32.05,...}],"removed":["LY303"]}
+ */
+
+export const SESSION_VERSION = 1;
+
+function compactTrack(track) {
+  const out = {};
+  for (const key in track) {
+    if (track[key] != null) out[key] = track[key];
+  }
+  return out;
+}
+
+/**
+ * Session -> JSON-lines text.
+ */
+export function serializeSession(session) {
+  const lines = [
+    JSON.stringify({
+      type: "session",
+      version: SESSION_VERSION,
+      start: session.start,
+      end: session.end,
+    }),
+  ];
+
+  for (const frame of session.frames) {
+    const line = { t: frame.time - session.start };
+    if (frame.sensor) line.sensor = frame.sensor;
+    if (frame.tracks?.length) line.tracks = frame.tracks.map(compactTrack);
+    if (frame.removed?.length) line.removed = frame.removed;
+    lines.push(JSON.stringify(line));
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+// Recorded sensor sites, normalized; throws on a site the views can't show
+// (no position, radar parameters createRadarModel rejects)
+function parseSensorSites(sites, lineNumber) {
+  if (sites == null) return [];
+  const where = `sessionRecording: line ${lineNumber}`;
+  if (!Array.isArray(sites)) throw new Error(`${where}: sensors is not a list`);
+
+  for (const [i, site] of sites.entries()) {
+    if (
+      !Number.isFinite(site?.lat) ||
+      !Number.isFinite(site?.lng ?? site?.lon)
+    ) {
+      throw new Error(`${where}: sensors[${i}] has no valid lat / lng`);
+    }
+    try {
+      createRadarModel(site.radar ?? {});
+    } catch (err) {
+      throw new Error(`${where}: sensors[${i}].radar: ${err.message}`);
+    }
+  }
+  return normalizeSensors(sites);
+}
+
+/**
+ * JSON-lines text -> session. Throws on a missing / unsupported header, a
+ * line that is not JSON or a sensor site that can't be shown.
+ */
+export function parseSession(text) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim());
+
+  const parseLine = (i) => {
+    try {
+      return JSON.parse(lines[i]);
+    } catch (err) {
+      throw new Error(
+        `sessionRecording: line ${i + 1} is not valid JSON (${err.message})`
+      );
+    }
+  };
+
+  const header = lines.length ? parseLine(0) : null;
+  if (header?.type !== "session" || !Number.isFinite(header.start)) {
+    throw new Error("sessionRecording: missing session header");
+  }
+  if (header.version !== SESSION_VERSION) {
+    throw new Error(
+      `sessionRecording: unsupported session version ${header.version}`
+    );
+  }
+
+  const frames = [];
+  let time = header.start;
+  for (let i = 1; i < lines.length; i++) {
+    const line = parseLine(i);
+    // keep frames in order even if the file was edited by hand
+    time = Math.max(time, header.start + (Number(line.t) || 0));
+
+    const frame = { time };
+    if (line.sensor) {
+      frame.sensor = {
+        ...line.sensor,
+        sensors: parseSensorSites(line.sensor.sensors, i + 1),
+      };
+    }
+    if (Array.isArray(line.tracks)) {
+      frame.tracks = line.tracks.filter((t) => t?.id != null);
+    }
+    if (Array.isArray(line.removed)) frame.removed = line.removed;
+    frames.push(frame);
+  }
+
+  return {
+    version: SESSION_VERSION,
+    start: header.start,
+    end: Math.max(Number(header.end) || 0, time),
+    frames,
+  };
+}
+
+/**
+ * State of a session at any time: { tracks: [...], sensor, frameIndex }.
+ *
+ * Keeps a full copy of the tracks every `keyframeInterval` frames, so a
+ * seek replays at most that many frames; playing forward continues from
+ * the last answer.
+ */
+export function createSessionReplay(session, { keyframeInterval = 200 } = {}) {
+  const { frames } = session;
+  const keyframes = []; // { index, tracks: Map, sensor }
+
+  function apply(frame, tracks, sensor) {
+    for (const id of frame.removed ?? []) tracks.delete(id);
+    for (const track of frame.tracks ?? []) tracks.set(track.id, track);
+    return frame.sensor ?? sensor;
+  }
+
+  {
+    const tracks = new Map();
+    let sensor = null;
+    frames.forEach((frame, index) => {
+      sensor = apply(frame, tracks, sensor);
+      if (index % keyframeInterval === 0) {
+        keyframes.push({ index, tracks: new Map(tracks), sensor });
+      }
+    });
+  }
+
+  // last state handed out, continued when playing forward
+  let cursor = null;
+
+  // index of the last frame at or before `time`, -1 before the first
+  function frameIndexAt(time) {
+    let lo = 0;
+    let hi = frames.length - 1;
+    let found = -1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (frames[mid].time <= time) {
+        found = mid;
+        lo = mid + 1;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    return found;
+  }
+
+  function stateAt(time) {
+    const index = frameIndexAt(time);
+    if (cursor?.index === index) return cursor.state;
+
+    if (index < 0) {
+      cursor = { index, state: { tracks: [], sensor: null, frameIndex: -1 } };
+      return cursor.state;
+    }
+
+    const keyframe = keyframes[Math.floor(index / keyframeInterval)];
+    let from = keyframe.index;
+    let tracks = keyframe.tracks;
+    let sensor = keyframe.sensor;
+    if (cursor && cursor.index >= from && cursor.index < index) {
+      from = cursor.index;
+      tracks = cursor.tracks;
+      sensor = cursor.state.sensor;
+    }
+
+    tracks = new Map(tracks);
+    for (let i = from + 1; i <= index; i++) {
+      sensor = apply(frames[i], tracks, sensor);
+    }
+
+    cursor = {
+      index,
+      tracks,
+      state: { tracks: [...tracks.values()], sensor, frameIndex: index },
+    };
+    return cursor.state;
+  }
+
+  return { stateAt, frameIndexAt };
+}
@@ -0,0 +1,367 @@
+// src/utils/terrainColors.js
+import defaultRampDefs from "@/assets/terrainRamps.json";
+
+/**
+ * Terrain color ramps shared by useTerrain, useTiledTerrain and the worker.
+ *
+ * A ramp definition (see src/assets/terrainRamps.json) is JSON:
+ *   {
+ *     "label": "Flight safety",
+ *     "type": "height" | "slope" | "relative",
+ *     "mode": "linear" | "step",       // default linear
+ *     "nodataColor": "#08142e",
+ *     "stops": [{ "value": -300, "color": "#d9b21f" }, ...]  // ascending
+ *   }
+ * Stop values are meters for "height", degrees for "slope" and meters
+ * relative to `referenceAltitude` for "relative". Linear ramps blend between
+ * stops (two stops at the same value make a hard edge); step ramps use the
+ * color of the last stop at or below the value. Values outside the stops
+ * clamp to the end colors.
+ *
+ * Output colors are 0..1 floats, 3 per vertex.
+ */
+
+const RAMP_TYPES = ["height", "slope", "relative"];
+const RAMP_MODES = ["linear", "step"];
+
+export const DEFAULT_RAMP_NAME = "hypsometric";
+
+function hexToRgb(hex, where) {
+  const m = /^#?([0-9a-f]{6})$/i.exec(hex ?? "");
+  if (!m) throw new Error(`terrainColors: ${where}: bad color "${hex}"`);
+  const n = parseInt(m[1], 16);
+  return [((n >> 16) & 255) / 255, ((n >> 8) & 255) / 255, (n & 255) / 255];
+}
+
+/**
+ * Validate one ramp definition and resolve its colors.
+ * The result is a plain object, safe to post to the terrain worker.
+ */
+export function normalizeRamp(name, def) {
+  const where = `ramp "${name}"`;
+  if (!def || typeof def !== "object") {
+    throw new Error(`terrainColors: ${where} is not an object`);
+  }
+
+  const type = def.type ?? "height";
+  if (!RAMP_TYPES.includes(type)) {
+    throw new Error(`terrainColors: ${where}: unknown type "${type}"`);
+  }
+  const mode = def.mode ?? "linear";
+  if (!RAMP_MODES.includes(mode)) {
+    throw new Error(`terrainColors: ${where}: unknown mode "${mode}"`);
+  }
+
+  if (!Array.isArray(def.stops) || def.stops.length < 1) {
+    throw new Error(`terrainColors: ${where}: needs at least one stop`);
+  }
+  const stops = def.stops.map((stop, i) => {
+    if (typeof stop.value !== "number" || !Number.isFinite(stop.value)) {
+      throw new Error(
+        `terrainColors: ${where}: stop ${i} has no numeric value`
+      );
+    }
+    if (i > 0 && stop.value < def.stops[i - 1].value) {
+      throw new Error(`terrainColors: ${where}: stops must be ascending`);
+    }
+    return { value: stop.value, rgb: hexToRgb(stop.color, where) };
+  });
+
+  return {
+    name,
+    label: def.label ?? name,
+    type,
+    mode,
+    stops,
+    nodataRgb: hexToRgb(def.nodataColor ?? "#000000", where),
+  };
+}
+
+/**
+ * `{ name: definition }` JSON -> `{ name: normalized ramp }`.
+ */
+export function parseColorRamps(raw) {
+  if (!raw || typeof raw !== "object") {
+    throw new Error("terrainColors: ramp file must be a JSON object");
+  }
+  const ramps = {};
+  for (const [name, def] of Object.entries(raw)) {
+    ramps[name] = normalizeRamp(name, def);
+  }
+  return ramps;
+}
+
+/**
+ * Fetch a ramp JSON file (same shape as src/assets/terrainRamps.json).
+ */
+export async function loadColorRamps(url) {
+  const resp = await fetch(url, { cache: "no-store" });
+  if (!resp.ok) {
+    throw new Error(`terrainColors: failed to fetch ${url} (${resp.status})`);
+  }
+  return parseColorRamps(await resp.json());
+}
+
+export const DEFAULT_RAMPS = parseColorRamps(defaultRampDefs);
+
+function resolveRamp(ramp) {
+  if (ramp && typeof ramp === "object") return ramp;
+  const found = DEFAULT_RAMPS[ramp ?? DEFAULT_RAMP_NAME];
+  if (!found) throw new Error(`terrainColors: unknown ramp "${ramp}"`);
+  return found;
+}
+
+/**
+ * Ramp color for `value`, written to out[j..j+2].
+ */
+export function rampColor(ramp, value, out, j = 0) {
+  const stops = ramp.stops;
+  const last = stops.length - 1;
+
+  let rgb;
+  if (value <= stops[0].value) {
+    rgb = stops[0].rgb;
+  } else if (value >= stops[last].value) {
+    // past the end; for duplicate end stops use the last one
+    rgb = stops[last].rgb;
+  } else {
+    let i = 0;
+    while (i < last && stops[i + 1].value <= value) i++;
+
+    if (ramp.mode === "step") {
+      rgb = stops[i].rgb;
+    } else {
+      const a = stops[i];
+      const b = stops[i + 1];
+      const t = (value - a.value) / (b.value - a.value);
+      out[j + 0] = a.rgb[0] + (b.rgb[0] - a.rgb[0]) * t;
+      out[j + 1] = a.rgb[1] + (b.rgb[1] - a.rgb[1]) * t;
+      out[j + 2] = a.rgb[2] + (b.rgb[2] - a.rgb[2]) * t;
+      return out;
+    }
+  }
+
+  out[j + 0] = rgb[0];
+  out[j + 1] = rgb[1];
+  out[j + 2] = rgb[2];
+  return out;
+}
+
+// Height gradient at grid vertex i by central differences, written to
+// out.east (dh/dEast) and out.north (dh/dNorth); row 0 is the north edge.
+// Nodata neighbours count as level with the vertex.
+function gradientAt(heights, i, samples, cellSize, nodataValue, out) {
+  const row = Math.floor(i / samples);
+  const col = i - row * samples;
+  const at = (r, c) => {
+    const h = heights[r * samples + c];
+    return h === nodataValue || Number.isNaN(h) ? heights[i] : h;
+  };
+
+  const c0 = Math.max(col - 1, 0);
+  const c1 = Math.min(col + 1, samples - 1);
+  const r0 = Math.max(row - 1, 0);
+  const r1 = Math.min(row + 1, samples - 1);
+
+  out.east = (at(row, c1) - at(row, c0)) / ((c1 - c0 || 1) * cellSize);
+  out.north = (at(r0, col) - at(r1, col)) / ((r1 - r0 || 1) * cellSize);
+  return out;
+}
+
+const rad2deg = 180 / Math.PI;
+const deg2rad = Math.PI / 180;
+
+function slopeDeg(g, zFactor = 1) {
+  return Math.atan(Math.hypot(g.east, g.north) * zFactor) * rad2deg;
+}
+
+/**
+ * Relief shading blended over the ramp colors. Everything is baked into the
+ * vertex colors, so the terrain stays on an unlit material and shading runs
+ * in the terrain worker with the ramp.
+ *
+ *   mode: "none" | "hillshade" | "slope" | "aspect" | "combined"
+ *     hillshade - Lambert shading from a sun at sunAzimuthDeg / sunElevationDeg
+ *     slope     - darkens with steepness (0 at flat, full at slopeMaxDeg)
+ *     aspect    - tints by the compass direction the slope faces
+ *     combined  - hillshade and slope together, best for spotting ridgelines
+ *   strength:    0..1 blend with the ramp color
+ *   zFactor:     vertical exaggeration used for the shading only; pass the
+ *                scene altScale to shade the relief as it is displayed
+ */
+export const DEFAULT_SHADING = {
+  mode: "none",
+  sunAzimuthDeg: 315, // from north, clockwise (classic north-west light)
+  sunElevationDeg: 45,
+  strength: 0.6,
+  zFactor: 1,
+  slopeMaxDeg: 45,
+};
+
+export const SHADING_MODES = [
+  "none",
+  "hillshade",
+  "slope",
+  "aspect",
+  "combined",
+];
+
+function resolveShading(shading) {
+  if (!shading) return null;
+  const s = { ...DEFAULT_SHADING, ...shading };
+  if (!SHADING_MODES.includes(s.mode)) {
+    throw new Error(`terrainColors: unknown shading mode "${s.mode}"`);
+  }
+  if (s.mode === "none" || s.strength <= 0) return null;
+
+  const az = s.sunAzimuthDeg * deg2rad;
+  const el = s.sunElevationDeg * deg2rad;
+  s.sun = [
+    Math.sin(az) * Math.cos(el), // east
+    Math.cos(az) * Math.cos(el), // north
+    Math.sin(el), // up
+  ];
+  return s;
+}
+
+/**
+ * 0..1 Lambert term for a surface with gradient `g` lit from `sun` (ENU unit
+ * vector). Flat ground returns sin(sun elevation).
+ */
+export function hillshadeAt(g, sun, zFactor = 1) {
+  const nx = -g.east * zFactor;
+  const ny = -g.north * zFactor;
+  const len = Math.hypot(nx, ny, 1);
+  return Math.max((nx * sun[0] + ny * sun[1] + sun[2]) / len, 0);
+}
+
+/**
+ * Compass direction (deg, 0 = north, 90 = east) a slope faces, i.e. its
+ * downhill direction. NaN on flat ground.
+ */
+export function aspectDegAt(g) {
+  if (g.east === 0 && g.north === 0) return NaN;
+  return (Math.atan2(-g.east, -g.north) * rad2deg + 360) % 360;
+}
+
+// Hue wheel for aspect: north = red, east = yellow-green, south = cyan,
+// west = blue-violet
+function aspectRgb(aspectDeg, out) {
+  const h = aspectDeg / 60;
+  const x = 1 - Math.abs((h % 2) - 1);
+  const k = Math.floor(h) % 6;
+  const rgb = [
+    [1, x, 0],
+    [x, 1, 0],
+    [0, 1, x],
+    [0, x, 1],
+    [x, 0, 1],
+    [1, 0, x],
+  ][k];
+  out[0] = rgb[0];
+  out[1] = rgb[1];
+  out[2] = rgb[2];
+  return out;
+}
+
+const aspectScratch = [0, 0, 0];
+
+function applyShading(s, g, colors, j) {
+  const { mode, strength } = s;
+
+  if (mode === "aspect") {
+    const aspect = aspectDegAt(g);
+    if (Number.isNaN(aspect)) return;
+    // flat-ish ground keeps the ramp color
+    const t = strength * Math.min(slopeDeg(g, s.zFactor) / s.slopeMaxDeg, 1);
+    aspectRgb(aspect, aspectScratch);
+    colors[j + 0] += (aspectScratch[0] - colors[j + 0]) * t;
+    colors[j + 1] += (aspectScratch[1] - colors[j + 1]) * t;
+    colors[j + 2] += (aspectScratch[2] - colors[j + 2]) * t;
+    return;
+  }
+
+  let shade = 1;
+  if (mode === "hillshade" || mode === "combined") {
+    // normalized so flat ground keeps roughly the ramp color
+    const flat = Math.max(s.sun[2], 0.2);
+    shade *= Math.min(hillshadeAt(g, s.sun, s.zFactor) / flat, 1.4);
+  }
+  if (mode === "slope" || mode === "combined") {
+    const steep = Math.min(slopeDeg(g, s.zFactor) / s.slopeMaxDeg, 1);
+    shade *= 1 - 0.7 * steep;
+  }
+
+  const f = 1 - strength + strength * shade;
+  colors[j + 0] = Math.min(colors[j + 0] * f, 1);
+  colors[j + 1] = Math.min(colors[j + 1] * f, 1);
+  colors[j + 2] = Math.min(colors[j + 2] * f, 1);
+}
+
+/**
+ * Fill `colors` (Float32Array, length >= heights.length * 3) from `heights`
+ * (meters, row-major grid; NaN or `nodataValue` = nodata).
+ *
+ * @param {Object} [options]
+ * @param {Object|string} [options.ramp] - normalized ramp or default ramp name
+ * @param {number} [options.referenceAltitude] - meters, for "relative" ramps
+ * @param {number} [options.samples] - grid side, for "slope" ramps
+ * @param {number} [options.cellSize] - grid spacing in meters, for "slope" ramps
+ * @param {number} [options.nodataValue]
+ * @param {Object} [options.shading] - relief shading, see DEFAULT_SHADING
+ */
+export function writeTerrainColors(
+  heights,
+  colors,
+  {
+    ramp = DEFAULT_RAMP_NAME,
+    referenceAltitude = 0,
+    samples = Math.round(Math.sqrt(heights.length)),
+    cellSize = 1,
+    nodataValue = -32768,
+    shading = null,
+  } = {}
+) {
+  const r = resolveRamp(ramp);
+  const shade = resolveShading(shading);
+  const g = { east: 0, north: 0 };
+
+  for (let i = 0; i < heights.length; i++) {
+    const h = heights[i];
+    const j = i * 3;
+
+    if (h === nodataValue || Number.isNaN(h)) {
+      colors[j + 0] = r.nodataRgb[0];
+      colors[j + 1] = r.nodataRgb[1];
+      colors[j + 2] = r.nodataRgb[2];
+      continue;
+    }
+
+    if (r.type === "slope" || shade) {
+      gradientAt(heights, i, samples, cellSize, nodataValue, g);
+    }
+
+    let value = h;
+    if (r.type === "relative") value = h - referenceAltitude;
+    else if (r.type === "slope") value = slopeDeg(g);
+
+    rampColor(r, value, colors, j);
+    if (shade) applyShading(shade, g, colors, j);
+  }
+
+  return colors;
+}
+
+// Tint for terrain the sensor cannot see (see useCoverage.updateTerrainShadow)
+export const DEFAULT_SHADOW_TINT = { color: [0.3, 0.05, 0.35], amount: 0.65 };
+
+/**
+ * Blend vertex `i` of `colors` towards `tint.color` by `tint.amount`.
+ */
+export function tintVertexColor(colors, i, tint = DEFAULT_SHADOW_TINT) {
+  const { color, amount } = tint;
+  const j = i * 3;
+  colors[j + 0] += (color[0] - colors[j + 0]) * amount;
+  colors[j + 1] += (color[1] - colors[j + 1]) * amount;
+  colors[j + 2] += (color[2] - colors[j + 2]) * amount;
+}
@@ -0,0 +1,330 @@
+// src/utils/terrainMeshBuilder.js
+import { writeTerrainColors } from "@/utils/terrainColors.js";
+import { resampleHeights, maxPoolHeights } from "@/utils/terrainResample.js";
+
+/**
+ * Pure typed-array builders for terrain meshes. They run inside
+ * workers/terrainWorker.js (see terrainWorkerClient.js) so big grids don't
+ * stall rendering, and synchronously where workers aren't available.
+ *
+ * Grid layout everywhere: row-major, row 0 = north, col 0 = west, X = east,
+ * Z = south, Y = height * altScale.
+ */
+
+/**
+ * int16 payload -> Float32 heights in meters with NaN for nodata,
+ * optionally flipped so the result is in display order.
+ */
+export function decodeHeights(
+  heights,
+  samples,
+  { nodata = -32768, flipX = false, flipZ = false } = {}
+) {
+  const out = new Float32Array(samples * samples);
+
+  for (let row = 0; row < samples; row++) {
+    const srcRow = flipZ ? samples - 1 - row : row;
+    for (let col = 0; col < samples; col++) {
+      const srcCol = flipX ? samples - 1 - col : col;
+      const h = heights[srcRow * samples + srcCol];
+      out[row * samples + col] = h === nodata ? NaN : h;
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Vertex normals of a regular grid by central differences (world units).
+ */
+export function computeGridNormals(positions, samples) {
+  const normals = new Float32Array(samples * samples * 3);
+  const last = samples - 1;
+
+  for (let row = 0; row < samples; row++) {
+    const r0 = Math.max(row - 1, 0);
+    const r1 = Math.min(row + 1, last);
+    for (let col = 0; col < samples; col++) {
+      const c0 = Math.max(col - 1, 0);
+      const c1 = Math.min(col + 1, last);
+
+      const xl = (row * samples + c0) * 3;
+      const xr = (row * samples + c1) * 3;
+      const zu = (r0 * samples + col) * 3;
+      const zd = (r1 * samples + col) * 3;
+
+      const dydx =
+        (positions[xr + 1] - positions[xl + 1]) /
+        (positions[xr] - positions[xl] || 1);
+      const dydz =
+        (positions[zd + 1] - positions[zu + 1]) /
+        (positions[zd + 2] - positions[zu + 2] || 1);
+
+      const nx = -dydx;
+      const nz = -dydz;
+      const len = Math.hypot(nx, 1, nz);
+
+      const j = (row * samples + col) * 3;
+      normals[j + 0] = nx / len;
+      normals[j + 1] = 1 / len;
+      normals[j + 2] = nz / len;
+    }
+  }
+
+  return normals;
+}
+
+/**
+ * Vertex colors for display-order heights (NaN = nodata), see
+ * writeTerrainColors for `colorOptions`. `vertexCount` can exceed the grid
+ * size to leave room for extra vertices (tile skirts).
+ */
+export function buildColors(
+  gridHeights,
+  colorOptions = {},
+  vertexCount = gridHeights.length
+) {
+  return writeTerrainColors(
+    gridHeights,
+    new Float32Array(vertexCount * 3),
+    colorOptions
+  );
+}
+
+/**
+ * Everything useTerrain attaches to its PlaneGeometry-shaped grid.
+ *
+ * `samples` is the side of the input grid. The displayed surface is
+ * resampled from it by `downsample` with `surface` ("raw" | "max" | "mean",
+ * see terrainResample.js); `queryHeights` is always the max-preserving grid
+ * at the displayed resolution, for line-of-sight and clearance queries.
+ *
+ * Returns { samples, gridHeights, queryHeights, positions, normals, colors }
+ * where `samples` is the displayed grid side.
+ */
+export function buildGridArrays({
+  heights, // Int16Array (or any array using `nodata` as sentinel)
+  samples: sourceSamples,
+  sizeMeters,
+  altScale = 1,
+  nodata = -32768,
+  nodataFill = 0,
+  flipX = false,
+  flipZ = false,
+  computeNormals = true,
+  colorOptions = null, // null = skip colors
+  surface = "raw",
+  downsample = 1,
+}) {
+  const sourceCount = sourceSamples * sourceSamples;
+  if (!heights || heights.length !== sourceCount) {
+    throw new Error(
+      `terrainMeshBuilder: heights length must be ${sourceCount} (got ${heights?.length})`
+    );
+  }
+
+  const decoded = decodeHeights(heights, sourceSamples, {
+    nodata,
+    flipX,
+    flipZ,
+  });
+  const query = maxPoolHeights(decoded, sourceSamples, downsample);
+  const { heights: gridHeights, samples } =
+    surface === "max"
+      ? query
+      : resampleHeights(decoded, sourceSamples, {
+          method: surface,
+          factor: downsample,
+        });
+
+  const expected = samples * samples;
+  const step = sizeMeters / (samples - 1);
+  const half = sizeMeters / 2;
+  const positions = new Float32Array(expected * 3);
+
+  for (let row = 0; row < samples; row++) {
+    for (let col = 0; col < samples; col++) {
+      const i = row * samples + col;
+      const h = gridHeights[i];
+      positions[i * 3 + 0] = -half + col * step;
+      positions[i * 3 + 1] = (Number.isNaN(h) ? nodataFill : h) * altScale;
+      positions[i * 3 + 2] = -half + row * step;
+    }
+  }
+
+  return {
+    samples,
+    gridHeights,
+    queryHeights: query.heights,
+    positions,
+    normals: computeNormals ? computeGridNormals(positions, samples) : null,
+    colors: colorOptions
+      ? buildColors(gridHeights, { samples, cellSize: step, ...colorOptions })
+      : null,
+  };
+}
+
+// vertex index of the k-th vertex along edge e (north, south, west, east)
+function edgeIndex(edge, k, S) {
+  if (edge === 0) return k;
+  if (edge === 1) return (S - 1) * S + k;
+  if (edge === 2) return k * S;
+  return k * S + (S - 1);
+}
+
+/**
+ * Quadtree tile mesh for useTiledTerrain: an S x S grid followed by four
+ * skirts of S vertices (north, south, west, east edges) dropped by
+ * skirtDepthMeters. Returns { gridHeights, positions, colors, index }.
+ */
+export function buildTileArrays({
+  heights,
+  samples: S,
+  sizeMeters,
+  x0, // west edge, relative to the tileset group
+  z0, // north edge, relative to the tileset group
+  altScale = 1,
+  nodata = -32768,
+  nodataFill = 0,
+  skirtDepthMeters = 300,
+  colorOptions = {},
+}) {
+  const gridCount = S * S;
+  const vertexCount = gridCount + 4 * S;
+  const step = sizeMeters / (S - 1);
+
+  const gridHeights = decodeHeights(heights, S, { nodata });
+  const positions = new Float32Array(vertexCount * 3);
+  const filled = (i) =>
+    Number.isNaN(gridHeights[i]) ? nodataFill : gridHeights[i];
+
+  for (let r = 0; r < S; r++) {
+    for (let c = 0; c < S; c++) {
+      const i = r * S + c;
+      positions[i * 3 + 0] = x0 + c * step;
+      positions[i * 3 + 1] = filled(i) * altScale;
+      positions[i * 3 + 2] = z0 + r * step;
+    }
+  }
+
+  const colors = new Float32Array(vertexCount * 3);
+  writeTerrainColors(gridHeights, colors, {
+    samples: S,
+    cellSize: step,
+    ...colorOptions,
+  });
+
+  for (let e = 0; e < 4; e++) {
+    for (let k = 0; k < S; k++) {
+      const src = edgeIndex(e, k, S);
+      const dst = gridCount + e * S + k;
+      positions[dst * 3 + 0] = positions[src * 3 + 0];
+      positions[dst * 3 + 1] = (filled(src) - skirtDepthMeters) * altScale;
+      positions[dst * 3 + 2] = positions[src * 3 + 2];
+      colors[dst * 3 + 0] = colors[src * 3 + 0];
+      colors[dst * 3 + 1] = colors[src * 3 + 1];
+      colors[dst * 3 + 2] = colors[src * 3 + 2];
+    }
+  }
+
+  const indexCount = 6 * (S - 1) * (S - 1) + 4 * 6 * (S - 1);
+  const IndexArray = vertexCount > 65535 ? Uint32Array : Uint16Array;
+  const index = new IndexArray(indexCount);
+  let n = 0;
+
+  // same triangle order as PlaneGeometry
+  for (let r = 0; r < S - 1; r++) {
+    for (let c = 0; c < S - 1; c++) {
+      const a = r * S + c;
+      const b = a + S;
+      const cc = b + 1;
+      const d = a + 1;
+      index[n++] = a;
+      index[n++] = b;
+      index[n++] = d;
+      index[n++] = b;
+      index[n++] = cc;
+      index[n++] = d;
+    }
+  }
+
+  for (let e = 0; e < 4; e++) {
+    for (let k = 0; k < S - 1; k++) {
+      const top0 = edgeIndex(e, k, S);
+      const top1 = edgeIndex(e, k + 1, S);
+      const bot0 = gridCount + e * S + k;
+      const bot1 = bot0 + 1;
+      index[n++] = top0;
+      index[n++] = bot0;
+      index[n++] = top1;
+      index[n++] = top1;
+      index[n++] = bot0;
+      index[n++] = bot1;
+    }
+  }
+
+  return { gridHeights, positions, colors, index };
+}
+
+/**
+ * Skirt vertices copy the color of the edge vertex they hang from.
+ */
+export function copySkirtColors(colors, S) {
+  const gridCount = S * S;
+  for (let e = 0; e < 4; e++) {
+    for (let k = 0; k < S; k++) {
+      const src = edgeIndex(e, k, S) * 3;
+      const dst = (gridCount + e * S + k) * 3;
+      colors[dst + 0] = colors[src + 0];
+      colors[dst + 1] = colors[src + 1];
+      colors[dst + 2] = colors[src + 2];
+    }
+  }
+  return colors;
+}
+
+/**
+ * Worker entry point (also used directly when workers are unavailable).
+ * `params.heights` may be an ArrayBuffer of int16 samples; it is handed back
+ * as an Int16Array in the result so the caller can keep using it.
+ */
+export function runTerrainJob(type, params) {
+  const heights =
+    params.heights instanceof ArrayBuffer
+      ? new Int16Array(params.heights)
+      : params.heights;
+
+  if (type === "grid") {
+    return { ...buildGridArrays({ ...params, heights }), heights };
+  }
+  if (type === "tile") {
+    return { ...buildTileArrays({ ...params, heights }), heights };
+  }
+  if (type === "colors") {
+    return {
+      gridHeights: params.gridHeights,
+      colors: buildColors(
+        params.gridHeights,
+        {
+          samples: params.samples,
+          cellSize: params.cellSize,
+          ...params.colorOptions,
+        },
+        params.vertexCount
+      ),
+    };
+  }
+
+  throw new Error(`terrainMeshBuilder: unknown job type "${type}"`);
+}
+
+/**
+ * ArrayBuffers of every typed array in `result`, for postMessage transfer.
+ */
+export function collectTransferables(result) {
+  const buffers = new Set();
+  for (const value of Object.values(result)) {
+    if (ArrayBuffer.isView(value)) buffers.add(value.buffer);
+  }
+  return [...buffers];
+}
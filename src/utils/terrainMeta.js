@@ -0,0 +1,172 @@
+// src/utils/terrainMeta.js
+
+/**
+ * Reader for the `terrain.meta.json` sidecar written by generate_heightmap.py.
+ *
+ * The raw file uses the generator's naming (`size_m`, `nodata_out`, `lon`);
+ * parseTerrainMeta() validates it and returns the shape the composables use:
+ *   {
+ *     origin: { lat, lng },           // AEQD projection center of the tile
+ *     sizeMeters, samples,            // square grid, samples per side
+ *     centerOffset: { east, north },  // grid center relative to origin (meters)
+ *     nodata,                         // int16 sentinel for missing samples
+ *     min, max,                       // valid height range (may be null)
+ *   }
+ */
+
+// The only payload layout useTerrain can decode
+const SUPPORTED_FORMAT = {
+  dtype: "int16",
+  endian: "little",
+  layout: "row-major",
+};
+
+function fail(source, message) {
+  throw new Error(`terrainMeta: ${source}: ${message}`);
+}
+
+function requireNumber(source, value, name) {
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    fail(source, `${name} must be a finite number (got ${value})`);
+  }
+  return value;
+}
+
+// Checks shared by single-tile meta and tileset manifests
+function parseCommon(raw, source) {
+  if (!raw || typeof raw !== "object") fail(source, "not a JSON object");
+
+  const format = raw.format;
+  if (!format) fail(source, "missing `format` block");
+  for (const key of Object.keys(SUPPORTED_FORMAT)) {
+    if (format[key] !== SUPPORTED_FORMAT[key]) {
+      fail(
+        source,
+        `format.${key} is "${format[key]}", only "${SUPPORTED_FORMAT[key]}" is supported`
+      );
+    }
+  }
+
+  if (!raw.origin) fail(source, "missing `origin` block");
+  const lat = requireNumber(source, raw.origin.lat, "origin.lat");
+  const lng = requireNumber(source, raw.origin.lon, "origin.lon");
+
+  if (!raw.grid) fail(source, "missing `grid` block");
+  const sizeMeters = requireNumber(source, raw.grid.size_m, "grid.size_m");
+  if (sizeMeters <= 0) fail(source, `grid.size_m must be > 0`);
+
+  const nodata = requireNumber(source, raw.nodata_out, "nodata_out");
+  if (!Number.isInteger(nodata) || nodata < -32768 || nodata > 32767) {
+    fail(source, `nodata_out must be an int16 value (got ${nodata})`);
+  }
+
+  const offset = raw.center_offset ?? {};
+  const east = requireNumber(
+    source,
+    offset.east_m ?? 0,
+    "center_offset.east_m"
+  );
+  const north = requireNumber(
+    source,
+    offset.north_m ?? 0,
+    "center_offset.north_m"
+  );
+
+  return {
+    origin: { lat, lng },
+    sizeMeters,
+    centerOffset: { east, north },
+    nodata,
+  };
+}
+
+function requireSamples(source, value, name) {
+  requireNumber(source, value, name);
+  if (!Number.isInteger(value) || value < 2) {
+    fail(source, `${name} must be an integer >= 2 (got ${value})`);
+  }
+  return value;
+}
+
+export function parseTerrainMeta(raw, source = "terrain meta") {
+  const common = parseCommon(raw, source);
+  const samples = requireSamples(source, raw.grid.samples, "grid.samples");
+
+  return {
+    ...common,
+    samples,
+    min: raw.min ?? null,
+    max: raw.max ?? null,
+  };
+}
+
+/**
+ * Tileset manifest (`tileset.json`) for useTiledTerrain. Same origin / grid /
+ * format / nodata blocks as terrain.meta.json, plus:
+ *   "tiles": { "samples": 129, "max_level": 5, "path": "{z}/{x}/{y}.bin" }
+ * Level z splits grid.size_m into 2^z x 2^z tiles; x counts west -> east,
+ * y counts north -> south. Every tile payload is a samples x samples int16
+ * row-major grid whose edge rows/cols are shared with its neighbours.
+ */
+export function parseTilesetMeta(raw, source = "tileset") {
+  const common = parseCommon(raw, source);
+
+  const tiles = raw.tiles;
+  if (!tiles) fail(source, "missing `tiles` block");
+  const tileSamples = requireSamples(source, tiles.samples, "tiles.samples");
+  const maxLevel = requireNumber(source, tiles.max_level, "tiles.max_level");
+  if (!Number.isInteger(maxLevel) || maxLevel < 0) {
+    fail(source, `tiles.max_level must be an integer >= 0 (got ${maxLevel})`);
+  }
+  const pathTemplate = tiles.path ?? "{z}/{x}/{y}.bin";
+  if (
+    !/\{z\}/.test(pathTemplate) ||
+    !/\{x\}/.test(pathTemplate) ||
+    !/\{y\}/.test(pathTemplate)
+  ) {
+    fail(
+      source,
+      `tiles.path must contain {z}, {x} and {y} (got ${pathTemplate})`
+    );
+  }
+
+  return {
+    ...common,
+    tileSamples,
+    maxLevel,
+    pathTemplate,
+  };
+}
+
+async function fetchJson(url) {
+  const resp = await fetch(url, { cache: "no-store" });
+  if (!resp.ok) {
+    throw new Error(`terrainMeta: failed to fetch ${url} (${resp.status})`);
+  }
+
+  try {
+    return await resp.json();
+  } catch (err) {
+    throw new Error(`terrainMeta: ${url} is not valid JSON (${err.message})`);
+  }
+}
+
+export async function fetchTerrainMeta(url) {
+  return parseTerrainMeta(await fetchJson(url), url);
+}
+
+export async function fetchTilesetMeta(url) {
+  return parseTilesetMeta(await fetchJson(url), url);
+}
+
+/**
+ * `/terrain.meta.json` -> `/terrain.bin` (the generator writes them side by side).
+ */
+export function binUrlForMeta(metaUrl) {
+  if (!/\.meta\.json$/.test(metaUrl)) {
+    throw new Error(
+      `terrainMeta: cannot derive .bin url from ${metaUrl}, pass binUrl explicitly`
+    );
+  }
+  return metaUrl.replace(/\.meta\.json$/, ".bin");
+}
@@ -0,0 +1,89 @@
+// src/utils/terrainQuery.js
+
+/**
+ * Ground elevation queries on a height field (the grid
+ * `useTerrain.getHeightField()` returns, see terrainShadow.js).
+ *
+ * Unlike sampleHeightBilinear (which fills nodata for line of sight), these
+ * answer "what is the ground here" and report missing data as null:
+ * nodata corners are left out of the bilinear blend, and a point whose four
+ * corners are all nodata has no height.
+ *
+ * X/Z are world meters (X = east, Z = -north); heights are true meters.
+ */
+
+/**
+ * Bilinear ground height (meters) at world X/Z, or null outside the grid or
+ * over nodata.
+ */
+export function heightAt(field, x, z) {
+  const { heights, samples, sizeMeters, centerX, centerZ } = field;
+  const step = sizeMeters / (samples - 1);
+  const half = sizeMeters / 2;
+
+  const fc = (x - centerX + half) / step;
+  const fr = (z - centerZ + half) / step;
+  if (!(fc >= 0 && fr >= 0 && fc <= samples - 1 && fr <= samples - 1)) {
+    return null;
+  }
+
+  const c0 = Math.min(Math.floor(fc), samples - 2);
+  const r0 = Math.min(Math.floor(fr), samples - 2);
+  const tx = fc - c0;
+  const tz = fr - r0;
+
+  const i00 = r0 * samples + c0;
+  const corners = [
+    [heights[i00], (1 - tx) * (1 - tz)],
+    [heights[i00 + 1], tx * (1 - tz)],
+    [heights[i00 + samples], (1 - tx) * tz],
+    [heights[i00 + samples + 1], tx * tz],
+  ];
+
+  let sum = 0;
+  let weight = 0;
+  for (const [h, w] of corners) {
+    if (Number.isNaN(h) || w === 0) continue;
+    sum += h * w;
+    weight += w;
+  }
+
+  return weight > 0 ? sum / weight : null;
+}
+
+/**
+ * Ground profile along a polyline of world points `[{ x, z }, ...]`,
+ * sampled every `stepMeters` along each segment plus every vertex.
+ * Returns `[{ distance, x, z, height }]` with `distance` in meters from the
+ * first point and `height` null where heightAt() is null.
+ */
+export function profileAlong(field, points, stepMeters) {
+  if (!(stepMeters > 0)) {
+    throw new Error(`terrainQuery: stepMeters must be > 0 (got ${stepMeters})`);
+  }
+  if (!points?.length) return [];
+
+  const out = [];
+  const push = (x, z, distance) =>
+    out.push({ distance, x, z, height: heightAt(field, x, z) });
+
+  let travelled = 0;
+  push(points[0].x, points[0].z, 0);
+
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    const length = Math.hypot(b.x - a.x, b.z - a.z);
+    if (length === 0) continue;
+
+    const steps = Math.ceil(length / stepMeters);
+    for (let k = 1; k <= steps; k++) {
+      const d = Math.min(k * stepMeters, length);
+      const t = d / length;
+      push(a.x + (b.x - a.x) * t, a.z + (b.z - a.z) * t, travelled + d);
+    }
+    travelled += length;
+  }
+
+  return out;
+}
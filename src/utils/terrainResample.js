@@ -0,0 +1,171 @@
+// src/utils/terrainResample.js
+
+/**
+ * Conservative terrain resampling.
+ *
+ * The generator resamples the DEM with nearest-neighbour, and the mesh
+ * interpolates linearly between vertices, so a peak that falls between two
+ * vertices is shaved off. For obstacle clearance that is the wrong way to
+ * be wrong. `resampleHeights(..., { method: "max" })` builds a grid where
+ * every output vertex is the maximum of all input samples in the cells
+ * around it, so any interpolated height inside a cell is >= every input
+ * sample in that cell: the surface never underestimates.
+ *
+ * Heights are row-major square grids in meters with NaN = nodata (see
+ * terrainMeshBuilder.decodeHeights). NaN samples are ignored; a window with
+ * only nodata stays NaN.
+ *
+ * Output vertex k sits on input sample k * factor, so the output grid has
+ * (samples - 1) / factor + 1 samples per side and covers the same extent.
+ * `factor` must divide samples - 1 (257 -> 129, 65, 33, ...).
+ */
+
+export const RESAMPLE_METHODS = ["raw", "max", "mean"];
+
+/**
+ * Samples per side after downsampling a `samples` grid by `factor`.
+ */
+export function resampledSize(samples, factor = 1) {
+  if (!Number.isInteger(factor) || factor < 1) {
+    throw new Error(
+      `terrainResample: factor must be an integer >= 1 (got ${factor})`
+    );
+  }
+  if ((samples - 1) % factor !== 0) {
+    throw new Error(
+      `terrainResample: factor ${factor} does not divide ${
+        samples - 1
+      } grid cells`
+    );
+  }
+  return (samples - 1) / factor + 1;
+}
+
+// 1D window reduce along rows (stride 1) or columns (stride samples)
+function reduceLine(
+  src,
+  dst,
+  count,
+  outCount,
+  srcStart,
+  srcStride,
+  dstStart,
+  dstStride,
+  factor,
+  radius,
+  method
+) {
+  for (let k = 0; k < outCount; k++) {
+    const center = k * factor;
+    const lo = Math.max(center - radius, 0);
+    const hi = Math.min(center + radius, count - 1);
+
+    let acc = method === "max" ? -Infinity : 0;
+    let n = 0;
+    for (let i = lo; i <= hi; i++) {
+      const h = src[srcStart + i * srcStride];
+      if (Number.isNaN(h)) continue;
+      if (method === "max") {
+        if (h > acc) acc = h;
+      } else {
+        acc += h;
+      }
+      n++;
+    }
+
+    let out = NaN;
+    if (n > 0) out = method === "max" ? acc : acc / n;
+    dst[dstStart + k * dstStride] = out;
+  }
+}
+
+/**
+ * Downsample a heightfield by `factor`. With factor 1 the grid keeps its
+ * resolution and "max" only widens peaks over their neighbouring cells.
+ *
+ * @param {Float32Array} heights - samples x samples, NaN = nodata
+ * @param {number} samples
+ * @param {Object} [options]
+ * @param {"raw"|"max"|"mean"} [options.method] - "raw" picks the input
+ *   sample under each output vertex, "max" is conservative (window radius
+ *   = factor, covering every cell that touches the vertex), "mean" is a box
+ *   filter with radius factor / 2 (rounded down), for a smoother display
+ * @param {number} [options.factor] - integer downsampling factor
+ * @returns {{ heights: Float32Array, samples: number }}
+ */
+export function resampleHeights(
+  heights,
+  samples,
+  { method = "max", factor = 1 } = {}
+) {
+  if (!RESAMPLE_METHODS.includes(method)) {
+    throw new Error(`terrainResample: unknown method "${method}"`);
+  }
+  if (heights.length !== samples * samples) {
+    throw new Error(
+      `terrainResample: heights length must be ${samples * samples} (got ${
+        heights.length
+      })`
+    );
+  }
+
+  const outSamples = resampledSize(samples, factor);
+  const out = new Float32Array(outSamples * outSamples);
+
+  if (method === "raw") {
+    for (let r = 0; r < outSamples; r++) {
+      for (let c = 0; c < outSamples; c++) {
+        out[r * outSamples + c] = heights[r * factor * samples + c * factor];
+      }
+    }
+    return { heights: out, samples: outSamples };
+  }
+
+  // Square windows are separable for both max and (NaN-free) mean: reduce
+  // each input row first, then the columns of that intermediate grid.
+  // (With nodata in the window the mean is a mean of row means, close
+  // enough for display.)
+  const radius = method === "max" ? factor : Math.floor(factor / 2);
+  const rows = new Float32Array(samples * outSamples);
+
+  for (let r = 0; r < samples; r++) {
+    reduceLine(
+      heights,
+      rows,
+      samples,
+      outSamples,
+      r * samples,
+      1,
+      r * outSamples,
+      1,
+      factor,
+      radius,
+      method
+    );
+  }
+  for (let c = 0; c < outSamples; c++) {
+    reduceLine(
+      rows,
+      out,
+      samples,
+      outSamples,
+      c,
+      outSamples,
+      c,
+      outSamples,
+      factor,
+      radius,
+      method
+    );
+  }
+
+  return { heights: out, samples: outSamples };
+}
+
+/**
+ * Max-preserving grid for line-of-sight / clearance queries: same layout as
+ * resampleHeights(..., { method: "max", factor }).
+ */
+export function maxPoolHeights(heights, samples, factor = 1) {
+  return resampleHeights(heights, samples, { method: "max", factor });
+}
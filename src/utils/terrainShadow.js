@@ -0,0 +1,176 @@
+// src/utils/terrainShadow.js
+
+/**
+ * Terrain line-of-sight helpers.
+ *
+ * A "height field" here is the grid `useTerrain.getHeightField()` returns:
+ *   {
+ *     heights,    // Float32Array, meters, row-major (row 0 = north, col 0 = west), NaN = nodata
+ *     samples,    // vertices per side
+ *     sizeMeters, // side length of the square
+ *     centerX,    // world X of the grid center (east)
+ *     centerZ,    // world Z of the grid center (north = -Z)
+ *     nodataFill, // meters used where heights[i] is NaN
+ *   }
+ *
+ * All altitudes are true meters (no altScale); X/Z are world meters.
+ */
+
+/**
+ * Bilinear terrain height (meters) at world X/Z, or null outside the grid.
+ */
+export function sampleHeightBilinear(field, x, z) {
+  const { heights, samples, sizeMeters, centerX, centerZ } = field;
+  const fill = field.nodataFill ?? 0;
+  const step = sizeMeters / (samples - 1);
+  const half = sizeMeters / 2;
+
+  const fc = (x - centerX + half) / step;
+  const fr = (z - centerZ + half) / step;
+  if (fc < 0 || fr < 0 || fc > samples - 1 || fr > samples - 1) return null;
+
+  const c0 = Math.min(Math.floor(fc), samples - 2);
+  const r0 = Math.min(Math.floor(fr), samples - 2);
+  const tx = fc - c0;
+  const tz = fr - r0;
+
+  const i00 = r0 * samples + c0;
+  const h00 = valueOr(heights[i00], fill);
+  const h10 = valueOr(heights[i00 + 1], fill);
+  const h01 = valueOr(heights[i00 + samples], fill);
+  const h11 = valueOr(heights[i00 + samples + 1], fill);
+
+  const a = h00 + (h10 - h00) * tx;
+  const b = h01 + (h11 - h01) * tx;
+  return a + (b - a) * tz;
+}
+
+function valueOr(h, fill) {
+  return Number.isNaN(h) ? fill : h;
+}
+
+/**
+ * Radial sweep from the sensor: for every azimuth/range bin, the lowest
+ * altitude (meters) that is still in line of sight over the terrain in front
+ * of it. -Infinity means nothing blocks that bin.
+ *
+ * Azimuth convention matches useCoverage: 0 = north (-Z), 90 = east (+X).
+ *
+ * With a curved `earth` model (see geodesy.createEarthModel) the terrain at
+ * range r is lowered by earth.drop(r) before the sweep; altitudes returned
+ * by minVisibleAltitudeAt() are still true heights above sea level.
+ */
+export function computeShadowField(
+  field,
+  {
+    sensorX = 0,
+    sensorZ = 0,
+    sensorAltMeters = 0,
+    maxRangeMeters = 300_000,
+    azimuthBins = 720,
+    rangeStepMeters = null, // default: half the grid spacing
+    earth = null, // geodesy earth model, null = flat
+  } = {}
+) {
+  const drop = earth ? earth.drop : () => 0;
+  const gridStep = field.sizeMeters / (field.samples - 1);
+  const rangeStep = rangeStepMeters ?? gridStep / 2;
+  const rangeBins = Math.max(1, Math.ceil(maxRangeMeters / rangeStep));
+
+  const minVisibleAlt = new Float32Array(azimuthBins * rangeBins);
+
+  for (let a = 0; a < azimuthBins; a++) {
+    const az = (a / azimuthBins) * Math.PI * 2;
+    const sinAz = Math.sin(az);
+    const cosAz = Math.cos(az);
+
+    // steepest terrain slope (tan of elevation angle) seen so far on this ray
+    let maxTan = -Infinity;
+    const base = a * rangeBins;
+
+    for (let i = 0; i < rangeBins; i++) {
+      const r = (i + 1) * rangeStep;
+
+      minVisibleAlt[base + i] =
+        maxTan === -Infinity ? -Infinity : sensorAltMeters + maxTan * r;
+
+      const h = sampleHeightBilinear(
+        field,
+        sensorX + sinAz * r,
+        sensorZ - cosAz * r
+      );
+      if (h == null) continue;
+
+      const tan = (h - drop(r) - sensorAltMeters) / r;
+      if (tan > maxTan) maxTan = tan;
+    }
+  }
+
+  return {
+    minVisibleAlt,
+    azimuthBins,
+    rangeBins,
+    rangeStep,
+    maxRangeMeters,
+    sensorX,
+    sensorZ,
+    sensorAltMeters,
+    drop,
+  };
+}
+
+/**
+ * Lowest visible altitude (meters) above world X/Z.
+ * Returns -Infinity when unobstructed and null beyond the swept range.
+ */
+export function minVisibleAltitudeAt(shadow, x, z) {
+  const dx = x - shadow.sensorX;
+  const dz = z - shadow.sensorZ;
+  const r = Math.hypot(dx, dz);
+  if (r > shadow.maxRangeMeters) return null;
+
+  const i = Math.round(r / shadow.rangeStep) - 1;
+  if (i < 0) return -Infinity;
+
+  let az = Math.atan2(dx, -dz);
+  if (az < 0) az += Math.PI * 2;
+  const a = Math.round((az / (Math.PI * 2)) * shadow.azimuthBins);
+
+  const azIdx = a % shadow.azimuthBins;
+  const rIdx = Math.min(i, shadow.rangeBins - 1);
+  const minAlt = shadow.minVisibleAlt[azIdx * shadow.rangeBins + rIdx];
+  // back from the curved-earth frame to height above sea level
+  return minAlt === -Infinity ? minAlt : minAlt + shadow.drop(r);
+}
+
+/**
+ * Per-vertex mask (1 = hidden from the sensor) for the height field grid,
+ * in the same vertex order as useTerrain's geometry.
+ */
+export function computeVertexShadowMask(
+  shadow,
+  field,
+  { toleranceMeters = 5 } = {}
+) {
+  const { heights, samples, sizeMeters, centerX, centerZ } = field;
+  const fill = field.nodataFill ?? 0;
+  const step = sizeMeters / (samples - 1);
+  const half = sizeMeters / 2;
+
+  const mask = new Uint8Array(samples * samples);
+
+  for (let row = 0; row < samples; row++) {
+    const z = centerZ - half + row * step;
+    for (let col = 0; col < samples; col++) {
+      const x = centerX - half + col * step;
+      const minAlt = minVisibleAltitudeAt(shadow, x, z);
+      if (minAlt == null || minAlt === -Infinity) continue;
+
+      const idx = row * samples + col;
+      const h = valueOr(heights[idx], fill);
+      if (h < minAlt - toleranceMeters) mask[idx] = 1;
+    }
+  }
+
+  return mask;
+}
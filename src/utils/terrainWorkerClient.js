@@ -0,0 +1,81 @@
+// src/utils/terrainWorkerClient.js
+import { runTerrainJob } from "@/utils/terrainMeshBuilder.js";
+
+/**
+ * Promise wrapper around workers/terrainWorker.js.
+ *
+ * The worker is started lazily on the first job. Typed arrays in `params`
+ * listed in `transfer` are moved (not copied) to the worker, and every typed
+ * array in the result is moved back. Without Worker support (SSR, tests) jobs
+ * run synchronously on the calling thread.
+ */
+export function createTerrainWorker() {
+  let worker = null;
+  let nextId = 1;
+  const jobs = new Map(); // id -> { resolve, reject }
+
+  function ensureWorker() {
+    if (worker || typeof Worker === "undefined") return worker;
+
+    worker = new Worker(
+      new URL("../workers/terrainWorker.js", import.meta.url),
+      {
+        type: "module",
+      }
+    );
+
+    worker.onmessage = (event) => {
+      const { id, result, error } = event.data;
+      const job = jobs.get(id);
+      if (!job) return;
+      jobs.delete(id);
+
+      if (error) job.reject(new Error(`terrainWorker: ${error}`));
+      else job.resolve(result);
+    };
+
+    worker.onerror = (event) => {
+      const err = new Error(`terrainWorker: ${event.message || "crashed"}`);
+      for (const job of jobs.values()) job.reject(err);
+      jobs.clear();
+    };
+
+    return worker;
+  }
+
+  /**
+   * Run a terrainMeshBuilder job ("grid" | "tile" | "colors").
+   * @param {string} type
+   * @param {Object} params
+   * @param {ArrayBuffer[]} [transfer] - buffers to move into the worker
+   * @returns {Promise<Object>}
+   */
+  function run(type, params, transfer = []) {
+    const w = ensureWorker();
+
+    if (!w) {
+      return new Promise((resolve) => resolve(runTerrainJob(type, params)));
+    }
+
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      jobs.set(id, { resolve, reject });
+      w.postMessage({ id, type, params }, transfer);
+    });
+  }
+
+  function disposeWorker() {
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+    const err = new Error("terrainWorker: disposed");
+    for (const job of jobs.values()) job.reject(err);
+    jobs.clear();
+  }
+
+  return {
+    run,
+    disposeWorker,
+  };
+}
@@ -0,0 +1,124 @@
+// src/utils/trackHistory.js
+
+/**
+ * Bounded position history per track id, for trails / breadcrumbs.
+ *
+ * Each track keeps at most `maxPoints` points in a fixed ring buffer
+ * (allocated once per track), and points older than `maxAgeSeconds` are
+ * dropped by prune(). Either limit can be turned off with null.
+ *
+ * A point is a time (ms) plus `valuesPerPoint` numbers whose meaning is up
+ * to the caller (e.g. lat, lng, alt).
+ */
+export function createTrackHistory({
+  maxPoints = 120,
+  maxAgeSeconds = 300,
+  valuesPerPoint = 3,
+} = {}) {
+  if (!(maxPoints >= 2)) {
+    throw new Error(`trackHistory: maxPoints must be >= 2 (got ${maxPoints})`);
+  }
+
+  const stride = 1 + valuesPerPoint;
+  const byId = new Map(); // id -> { buf: Float64Array, start, count }
+
+  function entry(id) {
+    let e = byId.get(id);
+    if (!e) {
+      e = { buf: new Float64Array(maxPoints * stride), start: 0, count: 0 };
+      byId.set(id, e);
+    }
+    return e;
+  }
+
+  /**
+   * Append a point; returns false (and stores nothing) when it is not
+   * newer than the last one.
+   */
+  function push(id, time, values) {
+    const e = entry(id);
+    if (e.count) {
+      const last = ((e.start + e.count - 1) % maxPoints) * stride;
+      if (time <= e.buf[last]) return false;
+    }
+
+    let slot;
+    if (e.count < maxPoints) {
+      slot = (e.start + e.count) % maxPoints;
+      e.count++;
+    } else {
+      slot = e.start;
+      e.start = (e.start + 1) % maxPoints;
+    }
+
+    const o = slot * stride;
+    e.buf[o] = time;
+    for (let k = 0; k < valuesPerPoint; k++) e.buf[o + 1 + k] = values[k];
+    return true;
+  }
+
+  /**
+   * Drop points older than maxAgeSeconds at `now` (ms), and tracks left
+   * empty. Returns true when anything was removed.
+   */
+  function prune(now) {
+    if (maxAgeSeconds == null) return false;
+    const cutoff = now - maxAgeSeconds * 1000;
+    let changed = false;
+
+    for (const [id, e] of byId) {
+      while (e.count && e.buf[e.start * stride] < cutoff) {
+        e.start = (e.start + 1) % maxPoints;
+        e.count--;
+        changed = true;
+      }
+      if (!e.count) byId.delete(id);
+    }
+    return changed;
+  }
+
+  function count(id) {
+    return byId.get(id)?.count ?? 0;
+  }
+
+  /**
+   * Point `i` (0 = oldest) of track `id` into `out` (values), returns its
+   * time, or null when out of range.
+   */
+  function readPoint(id, i, out) {
+    const e = byId.get(id);
+    if (!e || i < 0 || i >= e.count) return null;
+    const o = ((e.start + i) % maxPoints) * stride;
+    for (let k = 0; k < valuesPerPoint; k++) out[k] = e.buf[o + 1 + k];
+    return e.buf[o];
+  }
+
+  /**
+   * Rewrite every stored point's values in place (e.g. re-project after an
+   * origin change): fn(values, time) edits the values array.
+   */
+  function remapValues(fn) {
+    const values = new Array(valuesPerPoint);
+    for (const e of byId.values()) {
+      for (let i = 0; i < e.count; i++) {
+        const o = ((e.start + i) % maxPoints) * stride;
+        for (let k = 0; k < valuesPerPoint; k++) values[k] = e.buf[o + 1 + k];
+        fn(values, e.buf[o]);
+        for (let k = 0; k < valuesPerPoint; k++) e.buf[o + 1 + k] = values[k];
+      }
+    }
+  }
+
+  return {
+    maxPoints,
+    push,
+    prune,
+    count,
+    readPoint,
+    remapValues,
+    ids: () => byId.keys(),
+    has: (id) => byId.has(id),
+    remove: (id) => byId.delete(id),
+    clear: () => byId.clear(),
+  };
+}
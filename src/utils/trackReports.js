@@ -0,0 +1,96 @@
+// src/utils/trackReports.js
+
+/**
+ * Position reports as the track source stores them:
+ *   {
+ *     id,        // string, unique per aircraft
+ *     lat, lng,  // degrees
+ *     alt,       // meters above sea level, or null (drawn at 0)
+ *     heading,   // degrees clockwise from north, or null
+ *     speed,     // ground speed m/s, or null
+ *     time,      // ms since epoch when the position was measured, or null
+ *
+ *     // optional extras, null when unknown
+ *     verticalRate, // m/s, positive = climbing
+ *     callsign,     // flight id, e.g. "ELY315"
+ *     icao,         // 24-bit ICAO address as 6 uppercase hex digits
+ *     squawk,       // 4-digit transponder code
+ *     onGround,     // boolean
+ *     category,     // ADS-B emitter category ("A3") or a model name
+ *                   // ("jet"), see utils/aircraftModels.js
+ *   }
+ *
+ * Feed messages (WebSocket text frames or SSE `data:` lines) are JSON:
+ *   { "type": "reports", "reports": [report, ...] }
+ *   { "type": "remove", "ids": ["LY101", ...] }
+ * A bare report object or an array of reports is accepted as "reports".
+ */
+
+function finiteOrNull(value) {
+  return typeof value === "number" && Number.isFinite(value) ? value : null;
+}
+
+function stringOrNull(value) {
+  if (value == null) return null;
+  const s = String(value).trim();
+  return s || null;
+}
+
+/**
+ * Validate one raw report; returns the normalized report or null when it
+ * has no usable id / position.
+ */
+export function normalizeReport(raw) {
+  if (!raw || typeof raw !== "object") return null;
+
+  const id = raw.id != null ? String(raw.id).trim() : "";
+  const lat = finiteOrNull(raw.lat);
+  const lng = finiteOrNull(raw.lng ?? raw.lon);
+  if (!id || lat == null || lng == null) return null;
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+
+  return {
+    id,
+    lat,
+    lng,
+    alt: finiteOrNull(raw.alt),
+    heading: finiteOrNull(raw.heading),
+    speed: finiteOrNull(raw.speed),
+    time: finiteOrNull(raw.time),
+    verticalRate: finiteOrNull(raw.verticalRate),
+    callsign: stringOrNull(raw.callsign),
+    icao: stringOrNull(raw.icao)?.toUpperCase() ?? null,
+    squawk: stringOrNull(raw.squawk),
+    onGround: typeof raw.onGround === "boolean" ? raw.onGround : null,
+    category: stringOrNull(raw.category),
+  };
+}
+
+/**
+ * Feed message text -> { reports: [...normalized], removed: [...ids] }.
+ * Throws on invalid JSON; invalid reports inside a valid message are
+ * dropped.
+ */
+export function parseTrackMessage(text) {
+  let msg;
+  try {
+    msg = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`trackReports: message is not valid JSON (${err.message})`);
+  }
+
+  if (msg && msg.type === "remove") {
+    const ids = Array.isArray(msg.ids) ? msg.ids : [msg.id];
+    return { reports: [], removed: ids.filter((id) => id != null).map(String) };
+  }
+
+  let raw = [];
+  if (Array.isArray(msg)) raw = msg;
+  else if (msg && msg.type === "reports") raw = msg.reports ?? [];
+  else if (msg) raw = [msg];
+
+  return {
+    reports: raw.map(normalizeReport).filter(Boolean),
+    removed: [],
+  };
+}
@@ -0,0 +1,17 @@
+// src/workers/terrainWorker.js
+import {
+  runTerrainJob,
+  collectTransferables,
+} from "@/utils/terrainMeshBuilder.js";
+
+// { id, type, params } -> { id, result } | { id, error }
+self.onmessage = (event) => {
+  const { id, type, params } = event.data;
+
+  try {
+    const result = runTerrainJob(type, params);
+    self.postMessage({ id, result }, collectTransferables(result));
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};